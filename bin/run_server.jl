@@ -3,15 +3,18 @@
 ArcheoGeneticMap Server - Command Line Interface
 
 Usage:
-    julia run_server.jl <geopackage_file> [port]
+    julia run_server.jl <geopackage_file> [port] [tile_dir]
 
 Arguments:
     geopackage_file  Path to the GeoPackage file to serve
     port             Port number (default: 8000)
+    tile_dir         Directory of local {z}/{x}/{y}.png tiles, offered as an
+                     offline basemap (optional)
 
 Examples:
     julia run_server.jl samples.gpkg
     julia run_server.jl data/ancient_dna.gpkg 8080
+    julia run_server.jl data/ancient_dna.gpkg 8080 /media/field/tiles
 """
 
 # Add the src directory to the load path
@@ -26,38 +29,44 @@ function main()
 ArcheoGeneticMap Server - Archaeological Sample Visualization
 
 Usage:
-    julia run_server.jl <geopackage_file> [port]
+    julia run_server.jl <geopackage_file> [port] [tile_dir]
 
 Arguments:
     geopackage_file  Path to the GeoPackage file to serve
     port             Port number (default: 8000)
+    tile_dir         Directory of local {z}/{x}/{y}.png tiles, offered as an
+                     offline basemap (optional)
 
 Examples:
     julia run_server.jl samples.gpkg
     julia run_server.jl data/ancient_dna.gpkg 8080
+    julia run_server.jl data/ancient_dna.gpkg 8080 /media/field/tiles
 
-Tile variants available at:
-    /       - OpenStreetMap (default)
-    /topo   - OpenTopoMap  
-    /humanitarian - Humanitarian OSM
+Basemaps (OpenStreetMap, OpenTopoMap, Humanitarian OSM, CartoDB Dark,
+and local tiles when given) are switched with the layer control on the map.
 """)
         exit(1)
     end
     
     gpkg_file = ARGS[1]
     port = length(ARGS) >= 2 ? parse(Int, ARGS[2]) : 8000
+    tile_dir = length(ARGS) >= 3 ? ARGS[3] : ""
     
     # Verify file exists
     if !isfile(gpkg_file)
         println("Error: File not found: $gpkg_file")
         exit(1)
     end
+    if !isempty(tile_dir) && !isdir(tile_dir)
+        println("Error: Tile directory not found: $tile_dir")
+        exit(1)
+    end
     
     # Start the server
     println("=" ^ 50)
     println("ArcheoGeneticMap Server")
     println("=" ^ 50)
-    serve_map(gpkg_file, port=port)
+    serve_map(gpkg_file, port=port, settings=MapSettings(tile_dir=tile_dir))
 end
 
 # Run if executed directly
@@ -28,6 +28,8 @@ struct ColumnConfig
     average_age_cols::Vector{String}
     y_haplotree_cols::Vector{String}
     source_cols::Vector{String}
+    age_lower_cols::Vector{String}
+    age_upper_cols::Vector{String}
 end
 
 """
@@ -45,6 +47,8 @@ const DEFAULT_CONFIGS = [
         ["Culture", "Simplified_Culture"],
         ["Average age calBP", "Age, BP cal midpoint rescorr", "Mean_BP"],
         ["FTDNA-Y-Haplotree", "Y-FTDNA", "FTDNA Y Haplotree"],
-        ["Source"]
+        ["Source"],
+        ["Age lower calBP", "Age, BP cal lower", "Min_BP", "Lower_BP"],
+        ["Age upper calBP", "Age, BP cal upper", "Max_BP", "Upper_BP"]
     )
 ]
@@ -31,6 +31,31 @@ const DEFAULT_MIN_AGE = 0.0
 "Default maximum age when no dated samples exist (cal BP)"
 const DEFAULT_MAX_AGE = 50000.0
 
+"Date filter modes: a sample's date range overlaps the window, lies inside it, or has its midpoint inside it"
+const DATE_MODES = (:overlaps, :contains, :midpoint)
+
+"Default date filter mode (point ages, as before date ranges were carried)"
+const DEFAULT_DATE_MODE = :midpoint
+
+"Number of equal-width age bins in the histogram sent with each query"
+const AGE_HISTOGRAM_BINS = 500
+
+# =============================================================================
+# Date Slider Scale
+# =============================================================================
+
+"Slider position of the oldest end of the date slider"
+const SLIDER_MIN = 0
+
+"Slider position of the youngest end of the date slider"
+const SLIDER_MAX = 1000
+
+"Date slider scale: \"piecewise\" (linear between SLIDER_BREAKPOINTS), \"log\" (linear in log age) or \"linear\""
+const SLIDER_SCALE_MODE = "piecewise"
+
+"Piecewise scale knots as (age percentile, slider position) pairs; the youngest and oldest ages are pinned to the slider ends"
+const SLIDER_BREAKPOINTS = [(0.02, 50), (0.98, 950)]
+
 # =============================================================================
 # Tile Layer Defaults
 # =============================================================================
@@ -41,9 +66,43 @@ const DEFAULT_TILE_URL = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
 "Default tile layer attribution"
 const DEFAULT_TILE_ATTRIBUTION = "© OpenStreetMap contributors"
 
+"Directory of locally hosted tiles laid out as {z}/{x}/{y}.<ext>, offered as an offline basemap; empty disables it"
+const DEFAULT_TILE_DIR = ""
+
+"Attribution shown for the locally hosted basemap"
+const DEFAULT_LOCAL_TILE_ATTRIBUTION = "© OpenStreetMap contributors"
+
+"Image types tried, in order, for a local tile: file extension → content type"
+const LOCAL_TILE_TYPES = [
+    ("png", "image/png"),
+    ("jpg", "image/jpeg"),
+    ("jpeg", "image/jpeg"),
+    ("webp", "image/webp")
+]
+
+"Seconds browsers may reuse a local tile before requesting it again"
+const LOCAL_TILE_MAX_AGE = 86400
+
 # =============================================================================
 # Color Defaults
 # =============================================================================
 
 "Default color ramp name for all color modes"
 const DEFAULT_COLOR_RAMP = "viridis"
+
+# =============================================================================
+# Sample Property Requests
+# =============================================================================
+
+"Maximum number of sample ids accepted by one POST /api/samples/batch request"
+const MAX_SAMPLE_BATCH = 500
+
+"Maximum number of sample IDs returned by the sample search (autocomplete)"
+const SAMPLE_SEARCH_LIMIT = 20
+
+# =============================================================================
+# Export Defaults
+# =============================================================================
+
+"Base file name (without extension) for downloaded sample exports"
+const EXPORT_FILENAME = "archeogenetic_samples"
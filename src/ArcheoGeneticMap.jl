@@ -17,11 +17,12 @@ Then open http://localhost:8000 in your browser.
 - `Config`: Centralized configuration constants
 - `Types`: Core data structures (MapBounds, MapSettings, MapConfig, FilterRequest, etc.)
 - `IO`: GeoPackage file reading
-- `Geometry`: Spatial calculations (bounds, center)
+- `Geometry`: Spatial calculations (bounds, center, shape containment)
 - `Colors`: Color ramp definitions and interpolation
 - `Filters`: Filter application logic
 - `Analysis`: Statistical analysis and cascading filter options
 - `Query`: Orchestration layer for processing queries
+- `Export`: CSV / GeoJSON / KML serialization of filtered samples
 - `Templates`: HTML/CSS/JS template rendering
 - `Server`: Genie web server and routes
 
@@ -31,6 +32,10 @@ Use preset tile layers with `MapSettings(:preset_name)`:
 - `:osm` - OpenStreetMap (default)
 - `:topo` - OpenTopoMap
 - `:humanitarian` - Humanitarian OpenStreetMap
+
+The preset chosen this way is the basemap shown first; every preset can be
+switched to in the page. `MapSettings(tile_dir = "...")` adds a locally hosted
+tile directory for offline use.
 """
 module ArcheoGeneticMap
 
@@ -41,6 +46,10 @@ module ArcheoGeneticMap
 # Config must come first (no dependencies, provides constants for other modules)
 include("../config/map_config.jl")
 
+# CSV column candidates shared with the GeoPackage maker (served to the
+# browser for client-side CSV layers)
+include("../config/maker_config.jl")
+
 # IO depends on nothing internal
 include("io.jl")
 
@@ -62,6 +71,9 @@ include("filters.jl")
 # Query depends on Filters, Analysis, Colors
 include("query.jl")
 
+# Export depends on Config
+include("export.jl")
+
 # Templates depends on Types
 include("templates/templates.jl")
 
@@ -74,30 +86,35 @@ include("server.jl")
 
 # Core types
 export MapBounds, MapSettings, MapConfig, DateStatistics, CultureStatistics
-export TilePreset, TILE_PRESETS
+export TilePreset, TILE_PRESETS, TILE_PRESET_ORDER
 
 # Query types
-export ColorRamp, CultureFilter, FilterRequest, FilterMeta, QueryResponse
+export ColorRamp, CultureFilter, FilterRequest, FilterMeta, QueryResponse, HaplotreeNode
+export SpatialFilter, RectangleShape, PolygonShape, CircleShape
 
 # Color exports
 export COLOR_RAMPS, CULTURE_PALETTE
 export interpolate_color, color_for_age, color_for_culture
 
 # IO functions
-export read_geopackage
+export read_geopackage, find_local_tile
 
 # Geometry functions
-export calculate_bounds, calculate_center
+export calculate_bounds, calculate_center, haversine_distance, contains_point
 
 # Analysis functions
 export calculate_date_range, calculate_date_statistics, calculate_culture_statistics
-export compute_available_cultures, compute_available_date_range, build_filter_meta
+export percentile_age, calculate_slider_breakpoints, sample_age_interval, passes_date_filter
+export compute_available_cultures, compute_available_date_range, build_filter_meta, search_sample_ids, compute_age_histogram, build_haplotree
 
 # Filter functions
-export apply_date_filter, apply_culture_filter, apply_filters
+export apply_date_filter, apply_culture_filter, apply_spatial_filter, apply_filters, exclusion_reasons
 
 # Query functions
-export process_query, assign_colors!
+export process_query, process_haplotree_query, assign_colors!, age_color_range
+
+# Export functions
+export EXPORT_FORMATS, export_features
 
 # Template functions
 export render_map_html, clear_template_cache
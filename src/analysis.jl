@@ -10,7 +10,7 @@ export compute_available_cultures, compute_available_y_haplogroups, compute_avai
 export compute_available_date_range, build_filter_meta
 export extract_ages, extract_unique_strings, extract_cultures, extract_y_haplogroups, extract_mtdna, extract_sources
 export build_categorical_legend, build_culture_legend, build_haplogroup_legend, build_y_haplotree_legend
-export filter_haplogroups_by_search
+export filter_haplogroups_by_search, search_sample_ids, compute_age_histogram
 
 # =============================================================================
 # Extraction Helpers
@@ -153,20 +153,97 @@ function calculate_date_statistics(features::Vector)
     
     # Sort for percentile calculation
     sort!(ages)
-    n = length(ages)
-    
-    # Calculate percentile indices
-    p2_idx = max(1, floor(Int, n * 0.02))
-    p98_idx = min(n, ceil(Int, n * 0.98))
     
     return DateStatistics(
-        ages[1],        # min (youngest)
-        ages[end],      # max (oldest)
-        ages[p2_idx],   # 2nd percentile
-        ages[p98_idx]   # 98th percentile
+        ages[1],                        # min (youngest)
+        ages[end],                      # max (oldest)
+        percentile_age(ages, 0.02),     # 2nd percentile
+        percentile_age(ages, 0.98)      # 98th percentile
     )
 end
 
+"""
+    percentile_age(sorted_ages::Vector{Float64}, p::Real) -> Float64
+
+Age at percentile `p` (0-1) of an ascending, non-empty age vector. The index
+is rounded away from the median, so low and high percentiles both keep a
+little of the tail inside.
+"""
+function percentile_age(sorted_ages::Vector{Float64}, p::Real)
+    n = length(sorted_ages)
+    idx = p <= 0.5 ? floor(Int, n * p) : ceil(Int, n * p)
+    return sorted_ages[clamp(idx, 1, n)]
+end
+
+"""
+    calculate_slider_breakpoints(features::Vector;
+                                 breakpoints = SLIDER_BREAKPOINTS) -> Vector{Tuple{Float64, Float64}}
+
+Resolve the configured (percentile, slider position) pairs into
+(age, slider position) knots for the piecewise date slider, in ascending
+age order. Returns an empty vector when no sample is dated, which the
+frontend treats as a linear scale.
+"""
+function calculate_slider_breakpoints(features::Vector; breakpoints = SLIDER_BREAKPOINTS)
+    ages = extract_ages(features)
+    isempty(ages) && return Tuple{Float64, Float64}[]
+    sort!(ages)
+    
+    return [
+        (percentile_age(ages, p), Float64(position))
+        for (p, position) in sort(collect(breakpoints), by = first)
+    ]
+end
+
+"""
+    build_haplotree(features::Vector) -> HaplotreeNode
+
+Build the Y-haplotree from the `y_haplotree` paths of `features` (nodes
+separated by '>'). Each node counts the samples whose path runs through it;
+the unnamed root counts every sample that has a path. Tokens are matched
+case-insensitively, as in `apply_y_haplotree_filter`, and keep the spelling
+of the first path they appear in.
+"""
+function build_haplotree(features::Vector)
+    root = HaplotreeNode("")
+
+    for feature in features
+        path = get(feature["properties"], "y_haplotree", nothing)
+        is_missing_value(path) && continue
+
+        root.count += 1
+        node = root
+        for token in split(string(path), '>')
+            name = strip(token)
+            isempty(name) && continue
+            node = get!(() -> HaplotreeNode(String(name)), node.children, lowercase(name))
+            node.count += 1
+        end
+    end
+
+    return root
+end
+
+"""
+    compute_age_histogram(features::Vector, min_age::Float64, max_age::Float64;
+                          bins::Int = AGE_HISTOGRAM_BINS) -> Vector{Int}
+
+Count dated samples in `bins` equal-width bins spanning `min_age` to `max_age`
+(cal BP); bin 1 holds the youngest ages. Ages outside the span are counted in
+the first or last bin. The frontend re-bins these counts into slider space.
+"""
+function compute_age_histogram(features::Vector, min_age::Float64, max_age::Float64;
+                               bins::Int = AGE_HISTOGRAM_BINS)
+    counts = zeros(Int, bins)
+    width = (max_age - min_age) / bins
+
+    for age in extract_ages(features)
+        idx = width > 0 ? floor(Int, (age - min_age) / width) + 1 : 1
+        counts[clamp(idx, 1, bins)] += 1
+    end
+    return counts
+end
+
 """
     calculate_culture_statistics(geojson::Dict) -> CultureStatistics
 
@@ -207,9 +284,64 @@ function passes_filter(value, selected::Set{String}, include_missing::Bool)
     return value in selected
 end
 
+"""
+    sample_age_interval(props) -> Union{Tuple{Float64, Float64, Float64}, Nothing}
+
+A sample's dates as `(lower, midpoint, upper)` in cal BP, or `nothing` when it
+has no `average_age_calbp` (undated). Missing `age_lower_calbp` /
+`age_upper_calbp` bounds fall back to the midpoint, so point-dated samples
+behave the same in every date mode.
+"""
+function sample_age_interval(props)
+    mid = get(props, "average_age_calbp", nothing)
+    is_missing_value(mid) && return nothing
+    mid = Float64(mid)
+
+    lower = get(props, "age_lower_calbp", nothing)
+    upper = get(props, "age_upper_calbp", nothing)
+    lower = is_missing_value(lower) ? mid : Float64(lower)
+    upper = is_missing_value(upper) ? mid : Float64(upper)
+    lower, upper = minmax(lower, upper)
+
+    return (lower, mid, upper)
+end
+
+"""
+    passes_date_filter(props, date_min, date_max, include_undated::Bool,
+                       mode::Symbol = DEFAULT_DATE_MODE) -> Bool
+
+Check one feature's properties against a date window (either bound may be
+`nothing`). Modes:
+- `:overlaps` → the sample's date range touches the window
+- `:contains` → the whole date range lies inside the window
+- `:midpoint` → `average_age_calbp` lies inside the window
+"""
+function passes_date_filter(props,
+                            date_min::Union{Float64, Nothing},
+                            date_max::Union{Float64, Nothing},
+                            include_undated::Bool,
+                            mode::Symbol = DEFAULT_DATE_MODE)
+    interval = sample_age_interval(props)
+    interval === nothing && return include_undated
+    lower, mid, upper = interval
+
+    # The values that must lie at or above date_min and at or below date_max
+    low_test, high_test = if mode == :overlaps
+        (upper, lower)
+    elseif mode == :contains
+        (lower, upper)
+    else
+        (mid, mid)
+    end
+
+    date_min !== nothing && low_test < date_min && return false
+    date_max !== nothing && high_test > date_max && return false
+    return true
+end
+
 """
     compute_available(features::Vector, target::AbstractSelectionFilter;
-                      date_min, date_max, include_undated,
+                      date_min, date_max, include_undated, date_mode,
                       cross_filters) -> Vector{String}
 
 Compute which values are available for the property identified by `target`,
@@ -231,6 +363,7 @@ function compute_available(features::Vector,
                            date_min::Union{Float64, Nothing} = nothing,
                            date_max::Union{Float64, Nothing} = nothing,
                            include_undated::Bool = true,
+                           date_mode::Symbol = DEFAULT_DATE_MODE,
                            cross_filters::Vector{Tuple{AbstractSelectionFilter, Bool}} =
                                Tuple{AbstractSelectionFilter, Bool}[])
     result_set = Set{String}()
@@ -248,14 +381,7 @@ function compute_available(features::Vector,
         is_missing_value(target_value) && continue
 
         # Check date constraint
-        age = get(props, "average_age_calbp", nothing)
-        if is_missing_value(age)
-            include_undated || continue
-        else
-            age_val = Float64(age)
-            date_min !== nothing && age_val < date_min && continue
-            date_max !== nothing && age_val > date_max && continue
-        end
+        passes_date_filter(props, date_min, date_max, include_undated, date_mode) || continue
 
         # Check all cross-filter constraints
         passed = true
@@ -284,6 +410,7 @@ function compute_available_cultures(features::Vector;
                                     date_min::Union{Float64, Nothing} = nothing,
                                     date_max::Union{Float64, Nothing} = nothing,
                                     include_undated::Bool = true,
+                                    date_mode::Symbol = DEFAULT_DATE_MODE,
                                     y_haplogroup_filter::Union{YHaplogroupFilter, Nothing} = nothing,
                                     include_no_y_haplogroup::Bool = true,
                                     mtdna_filter::Union{MtdnaFilter, Nothing} = nothing,
@@ -294,7 +421,7 @@ function compute_available_cultures(features::Vector;
     mtdna_filter        !== nothing && push!(cross_filters, (mtdna_filter,        include_no_mtdna))
     source_filter       !== nothing && push!(cross_filters, (source_filter,       true))
     return compute_available(features, CultureFilter();
-        date_min, date_max, include_undated, cross_filters)
+        date_min, date_max, include_undated, date_mode, cross_filters)
 end
 
 """
@@ -306,6 +433,7 @@ function compute_available_y_haplogroups(features::Vector;
                                          date_min::Union{Float64, Nothing} = nothing,
                                          date_max::Union{Float64, Nothing} = nothing,
                                          include_undated::Bool = true,
+                                         date_mode::Symbol = DEFAULT_DATE_MODE,
                                          culture_filter::Union{CultureFilter, Nothing} = nothing,
                                          include_no_culture::Bool = true,
                                          mtdna_filter::Union{MtdnaFilter, Nothing} = nothing,
@@ -316,7 +444,7 @@ function compute_available_y_haplogroups(features::Vector;
     mtdna_filter        !== nothing && push!(cross_filters, (mtdna_filter,        include_no_mtdna))
     source_filter       !== nothing && push!(cross_filters, (source_filter,       true))
     return compute_available(features, YHaplogroupFilter();
-        date_min, date_max, include_undated, cross_filters)
+        date_min, date_max, include_undated, date_mode, cross_filters)
 end
 
 """
@@ -328,6 +456,7 @@ function compute_available_mtdna(features::Vector;
                                  date_min::Union{Float64, Nothing} = nothing,
                                  date_max::Union{Float64, Nothing} = nothing,
                                  include_undated::Bool = true,
+                                 date_mode::Symbol = DEFAULT_DATE_MODE,
                                  culture_filter::Union{CultureFilter, Nothing} = nothing,
                                  include_no_culture::Bool = true,
                                  y_haplogroup_filter::Union{YHaplogroupFilter, Nothing} = nothing,
@@ -338,7 +467,7 @@ function compute_available_mtdna(features::Vector;
     y_haplogroup_filter !== nothing && push!(cross_filters, (y_haplogroup_filter, include_no_y_haplogroup))
     source_filter       !== nothing && push!(cross_filters, (source_filter,       true))
     return compute_available(features, MtdnaFilter();
-        date_min, date_max, include_undated, cross_filters)
+        date_min, date_max, include_undated, date_mode, cross_filters)
 end
 
 """
@@ -350,6 +479,7 @@ function compute_available_sources(features::Vector;
                                    date_min::Union{Float64, Nothing} = nothing,
                                    date_max::Union{Float64, Nothing} = nothing,
                                    include_undated::Bool = true,
+                                   date_mode::Symbol = DEFAULT_DATE_MODE,
                                    culture_filter::Union{CultureFilter, Nothing} = nothing,
                                    include_no_culture::Bool = true,
                                    y_haplogroup_filter::Union{YHaplogroupFilter, Nothing} = nothing,
@@ -361,7 +491,7 @@ function compute_available_sources(features::Vector;
     y_haplogroup_filter !== nothing && push!(cross_filters, (y_haplogroup_filter, include_no_y_haplogroup))
     mtdna_filter        !== nothing && push!(cross_filters, (mtdna_filter,        include_no_mtdna))
     return compute_available(features, SourceFilter();
-        date_min, date_max, include_undated, cross_filters)
+        date_min, date_max, include_undated, date_mode, cross_filters)
 end
 
 """
@@ -430,6 +560,32 @@ function filter_haplogroups_by_search(haplogroups::Vector{String}, search_text::
     return filter(h -> startswith(lowercase(h), search_lower), haplogroups)
 end
 
+"""
+    search_sample_ids(sample_ids, search_text::String; limit::Int = SAMPLE_SEARCH_LIMIT) -> Vector{String}
+
+Case-insensitive sample ID autocomplete. IDs starting with the search text
+come first, followed by IDs containing it elsewhere; each part is sorted.
+At most `limit` IDs are returned. Empty search text matches nothing.
+"""
+function search_sample_ids(sample_ids, search_text::String; limit::Int = SAMPLE_SEARCH_LIMIT)
+    search_lower = lowercase(strip(search_text))
+    isempty(search_lower) && return String[]
+
+    prefix = String[]
+    inner  = String[]
+    for id in sample_ids
+        id_lower = lowercase(id)
+        if startswith(id_lower, search_lower)
+            push!(prefix, id)
+        elseif occursin(search_lower, id_lower)
+            push!(inner, id)
+        end
+    end
+
+    matches = vcat(sort(prefix), sort(inner))
+    return matches[1:min(limit, length(matches))]
+end
+
 # =============================================================================
 # Legend Builders
 # =============================================================================
@@ -485,6 +641,10 @@ build_y_haplotree_legend(terms::Vector{String}, ramp_name::String) =
                       request::FilterRequest) -> FilterMeta
 
 Build complete filter metadata for a query response.
+
+The spatial filter is applied before any cascading computation, so the
+available options and date range only reflect samples inside the drawn
+shape. Counts and slider statistics still describe the whole dataset.
 """
 function build_filter_meta(all_features::Vector,
                            filtered_features::Vector,
@@ -492,13 +652,17 @@ function build_filter_meta(all_features::Vector,
     # Counts
     total_count = length(all_features)
     filtered_count = length(filtered_features)
+
+    # Cascading options are computed from samples inside the drawn shape only
+    pool = apply_spatial_filter(all_features, request.spatial_filter)
     
     # Available options given current filters (cascading)
     available_cultures = compute_available_cultures(
-        all_features,
+        pool,
         date_min = request.date_min,
         date_max = request.date_max,
         include_undated = request.include_undated,
+        date_mode = request.date_mode,
         y_haplogroup_filter = request.y_haplogroup_filter,
         include_no_y_haplogroup = request.include_no_y_haplogroup,
         mtdna_filter = request.mtdna_filter,
@@ -507,10 +671,11 @@ function build_filter_meta(all_features::Vector,
     )
     
     available_y_haplogroups = compute_available_y_haplogroups(
-        all_features,
+        pool,
         date_min = request.date_min,
         date_max = request.date_max,
         include_undated = request.include_undated,
+        date_mode = request.date_mode,
         culture_filter = request.culture_filter,
         include_no_culture = request.include_no_culture,
         mtdna_filter = request.mtdna_filter,
@@ -519,10 +684,11 @@ function build_filter_meta(all_features::Vector,
     )
     
     available_mtdna = compute_available_mtdna(
-        all_features,
+        pool,
         date_min = request.date_min,
         date_max = request.date_max,
         include_undated = request.include_undated,
+        date_mode = request.date_mode,
         culture_filter = request.culture_filter,
         include_no_culture = request.include_no_culture,
         y_haplogroup_filter = request.y_haplogroup_filter,
@@ -531,10 +697,11 @@ function build_filter_meta(all_features::Vector,
     )
 
     available_sources = compute_available_sources(
-        all_features,
+        pool,
         date_min = request.date_min,
         date_max = request.date_max,
         include_undated = request.include_undated,
+        date_mode = request.date_mode,
         culture_filter = request.culture_filter,
         include_no_culture = request.include_no_culture,
         y_haplogroup_filter = request.y_haplogroup_filter,
@@ -556,7 +723,7 @@ function build_filter_meta(all_features::Vector,
     
     # Available date range given current filters
     available_date_range = compute_available_date_range(
-        all_features,
+        pool,
         request.culture_filter,
         include_no_culture = request.include_no_culture,
         y_haplogroup_filter = request.y_haplogroup_filter,
@@ -568,6 +735,14 @@ function build_filter_meta(all_features::Vector,
     # Full date statistics for slider configuration
     date_statistics = calculate_date_statistics(all_features)
     
+    # Age distribution of the samples passing every filter except the date
+    # window, so the slider shows where data lies on both sides of the window
+    age_histogram = compute_age_histogram(
+        apply_filters(all_features, request; date_filter = false),
+        date_statistics.min,
+        date_statistics.max
+    )
+    
     # Build legends - only for selected items with their color ramps
     culture_legend = build_culture_legend(
         request.culture_filter.selected,
@@ -603,6 +778,7 @@ function build_filter_meta(all_features::Vector,
         culture_legend,
         y_haplogroup_legend,
         mtdna_legend,
-        y_haplotree_legend
+        y_haplotree_legend,
+        age_histogram
     )
 end
@@ -0,0 +1,182 @@
+"""
+    ArcheoGeneticMap.Export
+
+Serialization of filtered samples for download (CSV, GeoJSON, KML).
+Exports carry the full sample properties plus the color assigned by the query.
+"""
+
+using JSON3
+
+export EXPORT_FORMATS, export_features, export_columns
+
+# =============================================================================
+# Formats
+# =============================================================================
+
+"Supported export formats → (content type, file extension)"
+const EXPORT_FORMATS = Dict{Symbol, Tuple{String, String}}(
+    :csv     => ("text/csv; charset=utf-8", "csv"),
+    :geojson => ("application/geo+json", "geojson"),
+    :kml     => ("application/vnd.google-earth.kml+xml", "kml")
+)
+
+"Columns that lead every export, ahead of the remaining sample properties"
+const EXPORT_LEADING_COLUMNS = ["sample_id", "longitude", "latitude", "marker_color"]
+
+# =============================================================================
+# Helpers
+# =============================================================================
+
+"""
+    export_columns(features::Vector) -> Vector{String}
+
+Column order for tabular exports: the leading columns, then every other
+property found in the features in alphabetical order. The internal `_color`
+property is exported as `marker_color`.
+"""
+function export_columns(features::Vector)
+    extra = Set{String}()
+    for feature in features
+        for key in keys(feature["properties"])
+            key in ("sample_id", "_color") || push!(extra, key)
+        end
+    end
+    return vcat(EXPORT_LEADING_COLUMNS, sort(collect(extra)))
+end
+
+"""
+    export_row(feature) -> Dict{String, Any}
+
+Flatten a feature into a column → value Dict matching `export_columns`.
+"""
+function export_row(feature)
+    props  = feature["properties"]
+    coords = feature["geometry"]["coordinates"]
+
+    row = Dict{String, Any}(k => v for (k, v) in props if k != "_color")
+    row["longitude"]    = coords[1]
+    row["latitude"]     = coords[2]
+    row["marker_color"] = get(props, "_color", nothing)
+    return row
+end
+
+"Quote a CSV field when it contains a delimiter, quote or line break (RFC 4180)"
+function csv_field(value)
+    value === nothing && return ""
+    text = string(value)
+    if occursin(r"[\",\r\n]", text)
+        return "\"" * replace(text, "\"" => "\"\"") * "\""
+    end
+    return text
+end
+
+"Escape text for inclusion in XML element content"
+xml_escape(text::AbstractString) = replace(text,
+    "&" => "&amp;", "<" => "&lt;", ">" => "&gt;", "\"" => "&quot;", "'" => "&apos;")
+
+"""
+    kml_color(hex) -> String
+
+Convert a CSS `#rrggbb` color to KML's `aabbggrr` order (fully opaque).
+Anything else falls back to opaque white.
+"""
+function kml_color(hex)
+    if hex isa AbstractString && occursin(r"^#[0-9a-fA-F]{6}$", hex)
+        return lowercase("ff" * hex[6:7] * hex[4:5] * hex[2:3])
+    end
+    return "ffffffff"
+end
+
+# =============================================================================
+# Serializers
+# =============================================================================
+
+"""
+    export_csv(features::Vector) -> String
+
+One row per sample with coordinates, assigned color and all properties.
+"""
+function export_csv(features::Vector)
+    columns = export_columns(features)
+    io = IOBuffer()
+    println(io, join(csv_field.(columns), ","))
+    for feature in features
+        row = export_row(feature)
+        println(io, join((csv_field(get(row, c, nothing)) for c in columns), ","))
+    end
+    return String(take!(io))
+end
+
+"""
+    export_geojson(features::Vector) -> String
+
+FeatureCollection with full properties; the assigned color is stored as
+`marker_color`.
+"""
+function export_geojson(features::Vector)
+    out = map(features) do feature
+        props = Dict{String, Any}(k => v for (k, v) in feature["properties"] if k != "_color")
+        props["marker_color"] = get(feature["properties"], "_color", nothing)
+        Dict(
+            "type"       => "Feature",
+            "geometry"   => feature["geometry"],
+            "properties" => props
+        )
+    end
+    return JSON3.write(Dict("type" => "FeatureCollection", "features" => out))
+end
+
+"""
+    export_kml(features::Vector) -> String
+
+KML document with one placemark per sample, styled with its assigned color.
+Properties are written as ExtendedData so they show in Google Earth and QGIS.
+"""
+function export_kml(features::Vector)
+    columns = filter(c -> !(c in ("longitude", "latitude")), export_columns(features))
+    io = IOBuffer()
+    println(io, """<?xml version="1.0" encoding="UTF-8"?>""")
+    println(io, """<kml xmlns="http://www.opengis.net/kml/2.2">""")
+    println(io, "<Document>")
+    println(io, "<name>$(EXPORT_FILENAME)</name>")
+
+    for feature in features
+        row    = export_row(feature)
+        coords = feature["geometry"]["coordinates"]
+
+        println(io, "<Placemark>")
+        println(io, "<name>$(xml_escape(string(something(row["sample_id"], ""))))</name>")
+        println(io, "<Style><IconStyle><color>$(kml_color(row["marker_color"]))</color>",
+                    "<Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>",
+                    "</IconStyle></Style>")
+        println(io, "<ExtendedData>")
+        for column in columns
+            value = get(row, column, nothing)
+            value === nothing && continue
+            println(io, "<Data name=\"$(xml_escape(column))\"><value>$(xml_escape(string(value)))</value></Data>")
+        end
+        println(io, "</ExtendedData>")
+        println(io, "<Point><coordinates>$(coords[1]),$(coords[2])</coordinates></Point>")
+        println(io, "</Placemark>")
+    end
+
+    println(io, "</Document>")
+    println(io, "</kml>")
+    return String(take!(io))
+end
+
+"""
+    export_features(features::Vector, format::Symbol) -> String
+
+Serialize features in one of the `EXPORT_FORMATS`.
+"""
+function export_features(features::Vector, format::Symbol)
+    if format == :csv
+        return export_csv(features)
+    elseif format == :geojson
+        return export_geojson(features)
+    elseif format == :kml
+        return export_kml(features)
+    end
+    error("Unknown export format: '$format'")
+end
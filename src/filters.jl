@@ -5,42 +5,30 @@ Filter application logic for GeoJSON features.
 Each filter function takes a collection of features and returns a filtered subset.
 """
 
-export apply_date_filter, apply_filter, apply_culture_filter, apply_y_haplogroup_filter, apply_mtdna_filter, apply_source_filter, apply_y_haplotree_filter, apply_filters
+export apply_date_filter, apply_filter, apply_culture_filter, apply_y_haplogroup_filter, apply_mtdna_filter, apply_source_filter, apply_y_haplotree_filter, apply_spatial_filter, apply_filters, exclusion_reasons
 
 # =============================================================================
 # Individual Filter Functions
 # =============================================================================
 
 """
-    apply_date_filter(features, date_min, date_max, include_undated::Bool) -> Vector
+    apply_date_filter(features, date_min, date_max, include_undated::Bool;
+                      mode::Symbol = DEFAULT_DATE_MODE) -> Vector
 
-Filter features by date range.
+Filter features by date range. `mode` selects how a sample's date range is
+tested against the window; see `passes_date_filter`.
 """
 function apply_date_filter(features::Vector,
                            date_min::Union{Float64, Nothing},
                            date_max::Union{Float64, Nothing},
-                           include_undated::Bool)
+                           include_undated::Bool;
+                           mode::Symbol = DEFAULT_DATE_MODE)
     if date_min === nothing && date_max === nothing && include_undated
         return features
     end
 
     return filter(features) do feature
-        age = get(feature["properties"], "average_age_calbp", nothing)
-
-        if is_missing_value(age)
-            return include_undated
-        end
-
-        age = Float64(age)
-
-        if date_min !== nothing && age < date_min
-            return false
-        end
-        if date_max !== nothing && age > date_max
-            return false
-        end
-
-        return true
+        passes_date_filter(feature["properties"], date_min, date_max, include_undated, mode)
     end
 end
 
@@ -169,44 +157,79 @@ function apply_y_haplotree_filter(features::Vector,
     end
 end
 
+# =============================================================================
+# Spatial Filter (location test, not a property lookup)
+# =============================================================================
+
+"""
+    apply_spatial_filter(features, spatial_filter::SpatialFilter) -> Vector
+
+Filter features to those whose point geometry lies inside the filter's shape.
+No shape → no filter (all features pass). Containment is delegated to
+`contains_point`, which dispatches on the shape type.
+"""
+function apply_spatial_filter(features::Vector, spatial_filter::SpatialFilter)
+    shape = spatial_filter.shape
+    shape === nothing && return features
+
+    return Base.filter(features) do feature
+        coords = feature["geometry"]["coordinates"]
+        return contains_point(shape, coords[1], coords[2])
+    end
+end
+
 # =============================================================================
 # Combined Filter Application
 # =============================================================================
 
 """
-    apply_filters(features, request::FilterRequest) -> Vector
+    apply_filters(features, request::FilterRequest;
+                  date_filter::Bool = true, y_filter::Bool = true) -> Vector
 
 Apply all filters from a FilterRequest to a collection of features.
+With `date_filter = false` the date range (and include_undated) is skipped,
+which is how the age histogram sees samples outside the current window.
+With `y_filter = false` both the Y-haplogroup and Y-haplotree filters are
+skipped, which is how the haplotree browser counts samples per node.
 
 Filters are applied in order:
-1. Date filter
-2. Culture filter
-3. Y-haplogroup filter (skipped when y_haplotree_filter is active)
-4. mtDNA filter
-5. Y-haplotree filter (skipped when y_haplogroup_filter is active)
-6. Source filter
+1. Spatial filter
+2. Date filter
+3. Culture filter
+4. Y-haplogroup filter (skipped when y_haplotree_filter is active)
+5. mtDNA filter
+6. Y-haplotree filter (skipped when y_haplogroup_filter is active)
+7. Source filter
 
 Note: y_haplogroup_filter and y_haplotree_filter are mutually exclusive.
 When y_haplotree_filter has terms, y_haplogroup_filter is ignored, and vice versa.
 The frontend enforces that only one is active at a time; this function respects
 that contract by preferring y_haplotree_filter when both are non-empty.
 """
-function apply_filters(features::Vector, request::FilterRequest)
+function apply_filters(features::Vector, request::FilterRequest;
+                       date_filter::Bool = true, y_filter::Bool = true)
     result = features
 
-    result = apply_date_filter(
-        result,
-        request.date_min,
-        request.date_max,
-        request.include_undated
-    )
+    result = apply_spatial_filter(result, request.spatial_filter)
+
+    if date_filter
+        result = apply_date_filter(
+            result,
+            request.date_min,
+            request.date_max,
+            request.include_undated,
+            mode = request.date_mode
+        )
+    end
 
     result = apply_filter(result, request.culture_filter, request.include_no_culture)
 
-    if !isempty(request.y_haplotree_filter.terms)
-        result = apply_y_haplotree_filter(result, request.y_haplotree_filter)
-    else
-        result = apply_filter(result, request.y_haplogroup_filter, request.include_no_y_haplogroup)
+    if y_filter
+        if !isempty(request.y_haplotree_filter.terms)
+            result = apply_y_haplotree_filter(result, request.y_haplotree_filter)
+        else
+            result = apply_filter(result, request.y_haplogroup_filter, request.include_no_y_haplogroup)
+        end
     end
 
     result = apply_filter(result, request.mtdna_filter, request.include_no_mtdna)
@@ -215,3 +238,51 @@ function apply_filters(features::Vector, request::FilterRequest)
 
     return result
 end
+
+# =============================================================================
+# Exclusion Explanation
+# =============================================================================
+
+"""
+    exclusion_reasons(feature, request::FilterRequest) -> Vector{Symbol}
+
+List every filter of a request that excludes a single feature, using the same
+filter functions and Y-haplogroup / Y-haplotree precedence as `apply_filters`.
+Empty when the feature passes. Used to tell the user why a sample they
+searched for is not on the map.
+
+Possible entries: `:area`, `:date`, `:culture`, `:y_haplogroup`,
+`:y_haplotree`, `:mtdna`, `:source`.
+"""
+function exclusion_reasons(feature, request::FilterRequest)
+    single  = [feature]
+    reasons = Symbol[]
+
+    isempty(apply_spatial_filter(single, request.spatial_filter)) && push!(reasons, :area)
+
+    isempty(apply_date_filter(
+        single,
+        request.date_min,
+        request.date_max,
+        request.include_undated,
+        mode = request.date_mode
+    )) && push!(reasons, :date)
+
+    isempty(apply_filter(single, request.culture_filter, request.include_no_culture)) &&
+        push!(reasons, :culture)
+
+    if !isempty(request.y_haplotree_filter.terms)
+        isempty(apply_y_haplotree_filter(single, request.y_haplotree_filter)) &&
+            push!(reasons, :y_haplotree)
+    else
+        isempty(apply_filter(single, request.y_haplogroup_filter, request.include_no_y_haplogroup)) &&
+            push!(reasons, :y_haplogroup)
+    end
+
+    isempty(apply_filter(single, request.mtdna_filter, request.include_no_mtdna)) &&
+        push!(reasons, :mtdna)
+
+    isempty(apply_source_filter(single, request.source_filter)) && push!(reasons, :source)
+
+    return reasons
+end
@@ -8,6 +8,7 @@ Spatial calculations and utility functions.
 # Uses: DEFAULT_MIN_AGE, DEFAULT_MAX_AGE
 
 export calculate_bounds, calculate_center
+export haversine_distance, contains_point
 
 # MapBounds is defined in types.jl and available in the same module scope
 
@@ -78,3 +79,71 @@ function estimate_zoom_level(bounds::MapBounds)
         return 10
     end
 end
+
+# =============================================================================
+# Shape Containment (spatial filter)
+# =============================================================================
+
+"Mean earth radius in metres, used for great-circle distances"
+const EARTH_RADIUS_M = 6_371_008.8
+
+"""
+    haversine_distance(lon1, lat1, lon2, lat2) -> Float64
+
+Great-circle distance in metres between two points given in degrees.
+"""
+function haversine_distance(lon1::Real, lat1::Real, lon2::Real, lat2::Real)
+    φ1, φ2 = deg2rad(lat1), deg2rad(lat2)
+    Δφ = φ2 - φ1
+    Δλ = deg2rad(lon2 - lon1)
+    a = sin(Δφ / 2)^2 + cos(φ1) * cos(φ2) * sin(Δλ / 2)^2
+    return 2 * EARTH_RADIUS_M * asin(min(1.0, sqrt(a)))
+end
+
+"""
+    contains_point(shape::AbstractShape, lon, lat) -> Bool
+
+Check whether a point lies inside a drawn shape.
+
+Shapes are drawn on a Leaflet map that may be panned across the antimeridian,
+so their longitudes are not confined to [-180, 180]. Rectangles and polygons
+therefore also test the point shifted by ±360°. Circles use great-circle
+distance, which is unaffected by longitude wrapping.
+"""
+function contains_point end
+
+function contains_point(shape::RectangleShape, lon::Real, lat::Real)
+    shape.min_lat <= lat <= shape.max_lat || return false
+    return any(shape.min_lon <= l <= shape.max_lon for l in (lon, lon + 360, lon - 360))
+end
+
+function contains_point(shape::PolygonShape, lon::Real, lat::Real)
+    return any(point_in_ring(shape.vertices, l, lat) for l in (lon, lon + 360, lon - 360))
+end
+
+function contains_point(shape::CircleShape, lon::Real, lat::Real)
+    return haversine_distance(shape.center_lon, shape.center_lat, lon, lat) <= shape.radius_m
+end
+
+"""
+    point_in_ring(vertices, x, y) -> Bool
+
+Even-odd ray casting test for a point against a closed ring of `(x, y)`
+vertices. Treats longitude/latitude as planar coordinates, which matches how
+the polygon looks on the Web Mercator map it was drawn on closely enough for
+filtering purposes.
+"""
+function point_in_ring(vertices::Vector{Tuple{Float64, Float64}}, x::Real, y::Real)
+    inside = false
+    n = length(vertices)
+    j = n
+    for i in 1:n
+        xi, yi = vertices[i]
+        xj, yj = vertices[j]
+        if (yi > y) != (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi
+            inside = !inside
+        end
+        j = i
+    end
+    return inside
+end
@@ -20,6 +20,8 @@ struct ArcheoSample
     average_age_calbp::Union{Float64, Missing}
     y_haplotree::String
     source::String
+    age_lower_calbp::Union{Float64, Missing}   # younger end of the date range
+    age_upper_calbp::Union{Float64, Missing}   # older end of the date range
 end
 
 """
@@ -76,6 +78,8 @@ function resolve_columns(df::DataFrame)
     average_age_col  = nothing
     y_haplotree_col  = nothing
     source_col       = nothing
+    age_lower_col    = nothing
+    age_upper_col    = nothing
 
     for config in DEFAULT_CONFIGS
         sample_id_col    = find_column(df, config.sample_id_cols)
@@ -87,6 +91,8 @@ function resolve_columns(df::DataFrame)
         average_age_col  = find_column(df, config.average_age_cols)
         y_haplotree_col  = find_column(df, config.y_haplotree_cols)
         source_col       = find_column(df, config.source_cols)
+        age_lower_col    = find_column(df, config.age_lower_cols)
+        age_upper_col    = find_column(df, config.age_upper_cols)
 
         if !isnothing(sample_id_col) && !isnothing(latitude_col) && !isnothing(longitude_col)
             break
@@ -106,7 +112,9 @@ function resolve_columns(df::DataFrame)
         culture      = culture_col,
         average_age  = average_age_col,
         y_haplotree  = y_haplotree_col,
-        source       = source_col
+        source       = source_col,
+        age_lower    = age_lower_col,
+        age_upper    = age_upper_col
     )
 
     println("Using columns:")
@@ -119,10 +127,25 @@ function resolve_columns(df::DataFrame)
     println("  Average age:  $(cols.average_age)")
     println("  Y haplotree:  $(cols.y_haplotree)")
     println("  Source:       $(cols.source)")
+    println("  Age lower:    $(cols.age_lower)")
+    println("  Age upper:    $(cols.age_upper)")
 
     return cols
 end
 
+"""
+Parse an optional numeric age column of a row. Returns missing when the
+column is absent, the cell is empty, or the value is not a number.
+"""
+function parse_age(row, col)::Union{Float64, Missing}
+    (isnothing(col) || ismissing(row[col])) && return missing
+    try
+        return parse(Float64, string(row[col]))
+    catch
+        return missing
+    end
+end
+
 """
 Build a Vector{ArcheoSample} from a DataFrame and resolved column mapping.
 Skips rows with missing required fields or invalid/out-of-range coordinates.
@@ -151,14 +174,9 @@ function build_samples(df::DataFrame, cols)::Vector{ArcheoSample}
             y_haplotree = isnothing(cols.y_haplotree) || ismissing(row[cols.y_haplotree]) ? "" : string(row[cols.y_haplotree])
             source  = isnothing(cols.source)       || ismissing(row[cols.source])       ? "" : string(row[cols.source])
 
-            avg_age = missing
-            if !isnothing(cols.average_age) && !ismissing(row[cols.average_age])
-                try
-                    avg_age = parse(Float64, string(row[cols.average_age]))
-                catch
-                    avg_age = missing
-                end
-            end
+            avg_age   = parse_age(row, cols.average_age)
+            age_lower = parse_age(row, cols.age_lower)
+            age_upper = parse_age(row, cols.age_upper)
 
             push!(samples, ArcheoSample(
                 @sprintf("%06d", sample_counter),
@@ -167,7 +185,9 @@ function build_samples(df::DataFrame, cols)::Vector{ArcheoSample}
                 y_hap, mtdna, culture,
                 avg_age,
                 y_haplotree,
-                source
+                source,
+                age_lower,
+                age_upper
             ))
             sample_counter += 1
 
@@ -210,6 +230,8 @@ function samples_to_geodataframe(samples::Vector{ArcheoSample})
         average_age_calbp = [s.average_age_calbp for s in samples],
         y_haplotree       = [s.y_haplotree       for s in samples],
         source            = [s.source            for s in samples],
+        age_lower_calbp   = [s.age_lower_calbp   for s in samples],
+        age_upper_calbp   = [s.age_upper_calbp   for s in samples],
         geometry          = geometries
     )
 end
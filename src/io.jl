@@ -6,7 +6,7 @@ Data loading and conversion for GeoPackage files.
 
 using ArchGDAL
 
-export read_geopackage, geojson_to_featurecollection
+export read_geopackage, geojson_to_featurecollection, find_local_tile
 
 """
     read_geopackage(filepath::String) -> Dict
@@ -15,7 +15,8 @@ Read a GeoPackage file and convert to GeoJSON-compatible Dict structure.
 
 Returns a FeatureCollection with features containing:
 - geometry: Point with [lon, lat] coordinates
-- properties: sample_id, y_haplogroup, mtdna, culture, average_age_calbp
+- properties: sample_id, y_haplogroup, mtdna, culture, average_age_calbp,
+  age_lower_calbp, age_upper_calbp
 """
 function read_geopackage(filepath::String)
     dataset = ArchGDAL.read(filepath)
@@ -66,9 +67,11 @@ function extract_properties(feature)
         props[field] = (value == "" || ismissing(value)) ? nothing : value
     end
     
-    # Numeric field
-    avg_age = safe_get_field(feature, "average_age_calbp", nothing)
-    props["average_age_calbp"] = ismissing(avg_age) ? nothing : avg_age
+    # Numeric fields - the date range bounds are absent from older GeoPackages
+    for field in ["average_age_calbp", "age_lower_calbp", "age_upper_calbp"]
+        value = safe_get_field(feature, field, nothing)
+        props[field] = ismissing(value) ? nothing : value
+    end
     
     return props
 end
@@ -86,3 +89,19 @@ function safe_get_field(feature, fieldname::String, default)
         return default
     end
 end
+
+"""
+    find_local_tile(tile_dir::String, z::Int, x::Int, y::Int) -> Union{Tuple{String, String}, Nothing}
+
+Locate tile `z/x/y` in a local tile directory laid out as `{z}/{x}/{y}.<ext>`,
+trying the extensions of `LOCAL_TILE_TYPES` in order. Returns the file path
+and its content type, or `nothing` when no such tile exists.
+"""
+function find_local_tile(tile_dir::String, z::Int, x::Int, y::Int)
+    (isempty(tile_dir) || min(z, x, y) < 0) && return nothing
+    for (extension, content_type) in LOCAL_TILE_TYPES
+        path = joinpath(tile_dir, string(z), string(x), "$y.$extension")
+        isfile(path) && return (path, content_type)
+    end
+    return nothing
+end
@@ -83,6 +83,19 @@ end
 # Query Processing
 # =============================================================================
 
+"""
+    age_color_range(filtered_features::Vector, meta::FilterMeta) -> Tuple{Float64, Float64}
+
+Date range the age color ramp spans: the ages of the filtered features, for
+better color distribution, or the full dataset range when nothing passed.
+"""
+function age_color_range(filtered_features::Vector, meta::FilterMeta)
+    if isempty(filtered_features)
+        return (meta.date_statistics.min, meta.date_statistics.max)
+    end
+    return calculate_date_range(filtered_features)
+end
+
 """
     process_query(all_features::Vector, request::FilterRequest) -> QueryResponse
 
@@ -102,24 +115,28 @@ function process_query(all_features::Vector, request::FilterRequest)
     meta = build_filter_meta(all_features, filtered_features, request)
     
     # Step 3: Assign colors to filtered features
-    # Use the date range from filtered features for better color distribution
-    filtered_date_range = if isempty(filtered_features)
-        (meta.date_statistics.min, meta.date_statistics.max)
-    else
-        calculate_date_range(filtered_features)
-    end
-    
     assign_colors!(
         filtered_features,
         request,
         meta,
-        filtered_date_range
+        age_color_range(filtered_features, meta)
     )
     
     # Step 4: Build and return response
     return QueryResponse(filtered_features, meta)
 end
 
+"""
+    process_haplotree_query(all_features::Vector, request::FilterRequest) -> HaplotreeNode
+
+Build the Y-haplotree of the samples passing every filter of `request` except
+the Y-haplogroup / Y-haplotree dimension itself, so checking a node does not
+zero its siblings' counts (the same rule the cascading options follow).
+"""
+function process_haplotree_query(all_features::Vector, request::FilterRequest)
+    return build_haplotree(apply_filters(all_features, request; y_filter = false))
+end
+
 """
     process_query(geojson::Dict, request::FilterRequest) -> QueryResponse
 
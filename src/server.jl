@@ -16,8 +16,11 @@ const DATA_SOURCE = Ref{String}("")
 # Cache for loaded GeoJSON data
 const GEOJSON_CACHE = Ref{Union{Dict{String, Any}, Nothing}}(nothing)
 
-#Mapsettings
-const ACTIVE_SETTINGS = Ref{MapSettings}(MapSettings())
+# Map settings passed to setup_routes (first basemap, local tile directory)
+const MAP_SETTINGS = Ref{MapSettings}(MapSettings())
+
+"URL template of the locally hosted basemap, served by the /tiles route"
+const LOCAL_TILE_URL = "/tiles/{z}/{x}/{y}"
 
 """
     configure_data_source(filepath::String)
@@ -79,6 +82,46 @@ function get_sample_lookup()
     return SAMPLE_LOOKUP[]
 end
 
+"""
+    public_properties(props::Dict) -> Dict
+
+Sample properties as served to the client, without internal fields such as
+the `_color` assigned by the last query.
+"""
+public_properties(props::Dict) = filter(kv -> !startswith(kv.first, "_"), props)
+
+"""
+    sample_properties_batch(lookup::Dict, ids) -> Tuple{Dict{String, Any}, Vector{String}}
+
+Look up public properties for many sample ids at once. Returns the properties
+keyed by id, plus the ids that were not found. Duplicate ids are served once.
+"""
+function sample_properties_batch(lookup::Dict, ids)
+    samples = Dict{String, Any}()
+    missing_ids = String[]
+    for raw_id in ids
+        id = string(raw_id)
+        haskey(samples, id) && continue
+        props = get(lookup, id, nothing)
+        if props === nothing
+            id in missing_ids || push!(missing_ids, id)
+        else
+            samples[id] = public_properties(props)
+        end
+    end
+    return samples, missing_ids
+end
+
+"""
+    find_feature(features::Vector, sample_id::String) -> Union{Dict, Nothing}
+
+Find the feature with the given sample_id, or `nothing`.
+"""
+function find_feature(features::Vector, sample_id::String)
+    index = findfirst(f -> string(get(f["properties"], "sample_id", "")) == sample_id, features)
+    return index === nothing ? nothing : features[index]
+end
+
 function clear_geojson_cache()
     GEOJSON_CACHE[]      = nothing
     SAMPLE_LOOKUP[]      = nothing
@@ -106,6 +149,10 @@ function parse_filter_request(payload::Dict)
         date_min, date_max = date_max, date_min
     end
     
+    # Parse date mode
+    date_mode = Symbol(get(payload, "dateMode", String(DEFAULT_DATE_MODE)))
+    date_mode in DATE_MODES || error("Unknown date mode: '$date_mode'")
+    
     # Parse include flags
     include_undated = get(payload, "includeUndated", true)
     include_no_culture = get(payload, "includeNoCulture", true)
@@ -143,6 +190,9 @@ function parse_filter_request(payload::Dict)
     selected_sources = String[string(s) for s in selected_sources_raw]
     source_filter = SourceFilter(source_filter_active, selected_sources)
 
+    # Parse spatial filter
+    spatial_filter = parse_spatial_filter(get(payload, "spatialFilter", nothing))
+
     # Parse color settings
     color_by_str = get(payload, "colorBy", nothing)
     color_by = if color_by_str === nothing || color_by_str == ""
@@ -161,6 +211,7 @@ function parse_filter_request(payload::Dict)
         date_min = date_min,
         date_max = date_max,
         include_undated = include_undated,
+        date_mode = date_mode,
         culture_filter = culture_filter,
         include_no_culture = include_no_culture,
         y_haplogroup_filter = y_haplogroup_filter,
@@ -169,6 +220,7 @@ function parse_filter_request(payload::Dict)
         include_no_mtdna = include_no_mtdna,
         y_haplotree_filter = y_haplotree_filter,
         source_filter = source_filter,
+        spatial_filter = spatial_filter,
         color_by = color_by,
         color_ramp = color_ramp,
         culture_color_ramp = culture_color_ramp,
@@ -178,6 +230,46 @@ function parse_filter_request(payload::Dict)
     )
 end
 
+"""
+    parse_spatial_filter(raw) -> SpatialFilter
+
+Parse the `spatialFilter` entry of a query payload. Coordinates are
+`[lon, lat]` pairs, as in GeoJSON:
+- `{"type": "rectangle", "bounds": [min_lon, min_lat, max_lon, max_lat]}`
+- `{"type": "polygon", "coordinates": [[lon, lat], ...]}`
+- `{"type": "circle", "center": [lon, lat], "radius": metres}`
+
+`nothing` yields an empty filter. Unknown types and malformed shapes raise
+an error, which the query route reports back to the client.
+"""
+function parse_spatial_filter(raw)
+    raw === nothing && return SpatialFilter()
+
+    shape_type = string(get(raw, "type", ""))
+
+    if shape_type == "rectangle"
+        b = Float64.(collect(raw["bounds"]))
+        length(b) == 4 || error("Rectangle bounds must have 4 values, got $(length(b))")
+        return SpatialFilter(RectangleShape(
+            min(b[1], b[3]), min(b[2], b[4]),
+            max(b[1], b[3]), max(b[2], b[4])
+        ))
+    elseif shape_type == "polygon"
+        vertices = Tuple{Float64, Float64}[
+            (Float64(c[1]), Float64(c[2])) for c in raw["coordinates"]
+        ]
+        length(vertices) >= 3 || error("Polygon needs at least 3 vertices, got $(length(vertices))")
+        return SpatialFilter(PolygonShape(vertices))
+    elseif shape_type == "circle"
+        center = raw["center"]
+        radius = Float64(raw["radius"])
+        radius > 0 || error("Circle radius must be positive, got $radius")
+        return SpatialFilter(CircleShape(Float64(center[1]), Float64(center[2]), radius))
+    end
+
+    error("Unknown spatial filter type: '$shape_type'")
+end
+
 """
     query_response_to_dict(response::QueryResponse) -> Dict
 
@@ -214,12 +306,20 @@ function query_response_to_dict(response::QueryResponse)
                 "min" => response.meta.available_date_range[1],
                 "max" => response.meta.available_date_range[2]
             ),
+            "ageColorRange" => let (min_age, max_age) = age_color_range(response.features, response.meta)
+                Dict("min" => min_age, "max" => max_age)
+            end,
             "dateStatistics" => Dict(
                 "min" => response.meta.date_statistics.min,
                 "max" => response.meta.date_statistics.max,
                 "p2" => response.meta.date_statistics.p2,
                 "p98" => response.meta.date_statistics.p98
             ),
+            "ageHistogram" => Dict(
+                "min" => response.meta.date_statistics.min,
+                "max" => response.meta.date_statistics.max,
+                "counts" => response.meta.age_histogram
+            ),
             "cultureLegend" => [
                 Dict("name" => name, "color" => color)
                 for (name, color) in response.meta.culture_legend
@@ -240,10 +340,69 @@ function query_response_to_dict(response::QueryResponse)
     )
 end
 
+"""
+    haplotree_to_dict(node::HaplotreeNode) -> Dict
+
+Convert a haplotree node and its descendants to nested Dicts for JSON.
+Children are ordered by sample count (largest first), then by name.
+"""
+function haplotree_to_dict(node::HaplotreeNode)
+    children = sort(collect(values(node.children)), by = c -> (-c.count, c.name))
+    return Dict(
+        "name" => node.name,
+        "count" => node.count,
+        "children" => [haplotree_to_dict(child) for child in children]
+    )
+end
+
 # =============================================================================
 # Configuration Endpoint
 # =============================================================================
 
+"""
+    tile_presets_config(settings::MapSettings) -> Tuple{Vector{Dict}, String}
+
+Basemaps offered by the in-page switcher, in `TILE_PRESET_ORDER`, and the id
+of the one shown first. A `settings.tile_url` that matches no preset is
+listed first as "custom"; a `settings.tile_dir` adds the "local" basemap.
+"""
+function tile_presets_config(settings::MapSettings)
+    presets = [
+        Dict("id" => String(id), "name" => TILE_PRESETS[id].name,
+             "url" => TILE_PRESETS[id].url, "attribution" => TILE_PRESETS[id].attribution)
+        for id in TILE_PRESET_ORDER
+    ]
+
+    default = findfirst(p -> p["url"] == settings.tile_url, presets)
+    if default === nothing
+        pushfirst!(presets, Dict("id" => "custom", "name" => "Custom",
+                                 "url" => settings.tile_url, "attribution" => settings.tile_attribution))
+        default = 1
+    end
+    default_id = presets[default]["id"]
+
+    if !isempty(settings.tile_dir)
+        push!(presets, Dict("id" => "local", "name" => "Local tiles (offline)",
+                            "url" => LOCAL_TILE_URL, "attribution" => DEFAULT_LOCAL_TILE_ATTRIBUTION))
+    end
+    return presets, default_id
+end
+
+"""
+    csv_columns_config() -> Vector{Dict}
+
+The GeoPackage maker's `DEFAULT_CONFIGS`, one Dict per `ColumnConfig` keyed
+by field name without the `_cols` suffix (`"sample_id"`, `"latitude"`, ...),
+so a CSV read in the browser resolves its columns like `resolve_columns`.
+"""
+function csv_columns_config()
+    return [
+        Dict(replace(String(field), r"_cols$" => "") => getfield(config, field)
+             for field in fieldnames(ColumnConfig))
+        for config in DEFAULT_CONFIGS
+    ]
+end
+
 """
     build_config_response() -> Dict
 
@@ -254,6 +413,7 @@ function build_config_response()
     
     date_stats = calculate_date_statistics(geojson)
     culture_stats = calculate_culture_statistics(geojson)
+    tile_presets, default_tile_preset = tile_presets_config(MAP_SETTINGS[])
     bounds = calculate_bounds(geojson, DEFAULT_PADDING)
     center_lat, center_lon = calculate_center(bounds)
     
@@ -266,15 +426,17 @@ function build_config_response()
         "colorRamps" => get_color_ramp_info(),
         "culturePalette" => CULTURE_PALETTE,
         "slider" => Dict(
-            "min" => 0,
-            "max" => 1000,
-            "segments" => Dict(
-                "leftBreak" => 50,
-                "rightBreak" => 950
-            )
+            "min" => SLIDER_MIN,
+            "max" => SLIDER_MAX,
+            "mode" => SLIDER_SCALE_MODE,
+            "breakpoints" => [
+                Dict("value" => age, "position" => position)
+                for (age, position) in calculate_slider_breakpoints(geojson["features"])
+            ]
         ),
         "defaults" => Dict(
             "includeUndated" => true,
+            "dateMode" => String(DEFAULT_DATE_MODE),
             "includeNoCulture" => true,
             "includeNoYHaplogroup" => true,
             "includeNoMtdna" => true,
@@ -286,11 +448,16 @@ function build_config_response()
             "pointColor" => DEFAULT_POINT_COLOR,
             "pointRadius" => DEFAULT_POINT_RADIUS
         ),
+        "limits" => Dict(
+            "sampleBatchSize" => MAX_SAMPLE_BATCH
+        ),
         "map" => Dict(
             "center" => [05, 125],
             "zoom" => DEFAULT_ZOOM,
-            "tileUrl" => ACTIVE_SETTINGS[].tile_url,
-            "tileAttribution" => ACTIVE_SETTINGS[].tile_attribution
+            "tileUrl" => MAP_SETTINGS[].tile_url,
+            "tileAttribution" => MAP_SETTINGS[].tile_attribution,
+            "tilePresets" => tile_presets,
+            "defaultTilePreset" => default_tile_preset
         ),
         "dateStatistics" => Dict(
             "min" => date_stats.min,
@@ -301,7 +468,8 @@ function build_config_response()
         "allCultures" => culture_stats.culture_names,
         "allYHaplogroups" => all_y_haplogroups,
         "allMtdna" => all_mtdna,
-        "allSources" => all_sources
+        "allSources" => all_sources,
+        "csvColumns" => csv_columns_config()
     )
 end
 
@@ -315,32 +483,32 @@ end
 Configure all HTTP routes for the mapping application.
 """
 function setup_routes(; default_settings::MapSettings = MapSettings())
+    MAP_SETTINGS[] = default_settings
     
-    # Main map view with default settings
+    # Main map view; basemaps are switched in the page
     route("/") do
-        ACTIVE_SETTINGS[] = default_settings
         serve_map_response(default_settings)
     end
     
-    # Topographic map variant
-    route("/topo") do
-        settings = MapSettings(:topo)
-        ACTIVE_SETTINGS[] = settings
-        serve_map_response(settings)
-    end
-    
-    # Humanitarian map variant  
-    route("/humanitarian") do
-        settings = MapSettings(:humanitarian)
-        ACTIVE_SETTINGS[] = settings
-        serve_map_response(settings)
+    # Former per-basemap pages open the main view on that basemap
+    for preset in (:topo, :humanitarian, :dark)
+        route("/$preset") do
+            Genie.Renderer.redirect("/?basemap=$preset")
+        end
     end
     
-    # Dark map variant  
-    route("/dark") do
-        settings = MapSettings(:dark)
-        ACTIVE_SETTINGS[] = settings
-        serve_map_response(settings)
+    # Locally hosted tiles for offline use ({z}/{x}/{y}.<ext> under settings.tile_dir)
+    route("/tiles/:z/:x/:y") do
+        z, x, y = tryparse.(Int, (params(:z), params(:x), params(:y)))
+        tile = any(isnothing, (z, x, y)) ? nothing : find_local_tile(default_settings.tile_dir, z, x, y)
+        if tile === nothing
+            return Genie.Renderer.respond("Tile not found", 404, Dict("Content-Type" => "text/plain"))
+        end
+        path, content_type = tile
+        return Genie.HTTP.Response(200, [
+            "Content-Type" => content_type,
+            "Cache-Control" => "public, max-age=$(LOCAL_TILE_MAX_AGE)"
+        ], read(path))
     end
     
     # Configuration endpoint
@@ -370,6 +538,40 @@ function setup_routes(; default_settings::MapSettings = MapSettings())
         end
     end
     
+    # Export endpoint — same payload as /api/query plus "format"
+    # (csv, geojson, kml); returns the filtered samples with full properties
+    route("/api/export", method = POST) do
+        try
+            payload = jsonpayload()
+            if payload === nothing
+                payload = Dict()
+            end
+
+            format = Symbol(lowercase(string(get(payload, "format", "csv"))))
+            haskey(EXPORT_FORMATS, format) || error("Unknown export format: '$format'")
+            content_type, extension = EXPORT_FORMATS[format]
+
+            request = parse_filter_request(payload)
+            geojson = get_cached_geojson()
+            response = process_query(geojson, request)
+
+            return Genie.Renderer.respond(
+                export_features(response.features, format),
+                200,
+                Dict(
+                    "Content-Type" => content_type,
+                    "Content-Disposition" => "attachment; filename=\"$(EXPORT_FILENAME).$(extension)\""
+                )
+            )
+        catch e
+            @error "Error processing export" exception=(e, catch_backtrace())
+            return json(Dict(
+                "error" => true,
+                "message" => string(e)
+            ))
+        end
+    end
+    
     # Single sample properties endpoint — used for on-demand popup content
     route("/api/sample/:id") do
         sample_id = params(:id)
@@ -379,8 +581,87 @@ function setup_routes(; default_settings::MapSettings = MapSettings())
             return json(Dict("error" => true, "message" => "Sample not found: $sample_id"))
         end
         # Return properties without the internal _color field
-        public_props = filter(kv -> kv.first != "_color", props)
-        return json(public_props)
+        return json(public_properties(props))
+    end
+
+    # Batch sample properties endpoint — {"ids": [...]} → {"samples": {id => props}, "missing": [...]}
+    # Lets the client fill its property cache (e.g. a whole spider cluster) in one request
+    route("/api/samples/batch", method = POST) do
+        try
+            payload = jsonpayload()
+            ids = payload === nothing ? [] : get(payload, "ids", [])
+            if length(ids) > MAX_SAMPLE_BATCH
+                error("Too many sample ids: $(length(ids)) (maximum $(MAX_SAMPLE_BATCH) per request)")
+            end
+
+            samples, missing_ids = sample_properties_batch(get_sample_lookup(), ids)
+            return json(Dict("samples" => samples, "missing" => missing_ids))
+        catch e
+            @error "Error processing sample batch" exception=(e, catch_backtrace())
+            return json(Dict(
+                "error" => true,
+                "message" => string(e)
+            ))
+        end
+    end
+
+    # Sample ID autocomplete — ?q=text → {"matches": [id, ...]}
+    route("/api/samples/search") do
+        search_text = string(Genie.Requests.getpayload(:q, ""))
+        matches = search_sample_ids(keys(get_sample_lookup()), search_text)
+        return json(Dict("matches" => matches))
+    end
+
+    # Locate a sample under the current filters — same payload as /api/query
+    # plus "id". Reports where the sample is and which filters hide it.
+    route("/api/samples/locate", method = POST) do
+        try
+            payload = jsonpayload()
+            if payload === nothing
+                payload = Dict()
+            end
+
+            sample_id = string(get(payload, "id", ""))
+            feature = find_feature(get_cached_geojson()["features"], sample_id)
+            if feature === nothing
+                return json(Dict("id" => sample_id, "found" => false))
+            end
+
+            request = parse_filter_request(payload)
+            coords = feature["geometry"]["coordinates"]
+            return json(Dict(
+                "id" => sample_id,
+                "found" => true,
+                "lon" => coords[1],
+                "lat" => coords[2],
+                "reasons" => string.(exclusion_reasons(feature, request))
+            ))
+        catch e
+            @error "Error locating sample" exception=(e, catch_backtrace())
+            return json(Dict(
+                "error" => true,
+                "message" => string(e)
+            ))
+        end
+    end
+
+    route("/api/haplotree", method = POST) do
+        try
+            payload = jsonpayload()
+            if payload === nothing
+                payload = Dict()
+            end
+
+            request = parse_filter_request(payload)
+            tree = process_haplotree_query(get_cached_geojson()["features"], request)
+            return json(Dict("tree" => haplotree_to_dict(tree)))
+        catch e
+            @error "Error building haplotree" exception=(e, catch_backtrace())
+            return json(Dict(
+                "error" => true,
+                "message" => string(e)
+            ))
+        end
     end
 
     # Legacy endpoints
@@ -0,0 +1,58 @@
+/**
+ * Color Utilities Module
+ *
+ * Client-side color helpers for the layers that color on the page (hexbin
+ * counts, density surfaces, private samples). Sample colors from /api/query
+ * are still assigned by the server; rampColor follows the same linear
+ * interpolation as interpolate_color in colors.jl.
+ *
+ * Usage:
+ *   ColorUtils.rampColor(['#440154', '#21908d', '#fde725'], 0.25);   // '#334971'
+ *   ColorUtils.hexToRgb('#e41a1c');                                  // [228, 26, 28]
+ *
+ * No external dependencies.
+ */
+
+const ColorUtils = (function () {
+
+    // =========================================================================
+    // Colors
+    // =========================================================================
+
+    /**
+     * Linear interpolation along ramp colors
+     * @param {string[]} colors - '#rrggbb' stops
+     * @param {number} t - 0..1 (clamped)
+     * @returns {string} '#rrggbb'
+     */
+    function rampColor(colors, t) {
+        if (colors.length === 1) return colors[0];
+        const pos = Math.min(1, Math.max(0, t)) * (colors.length - 1);
+        const i = Math.min(colors.length - 2, Math.floor(pos));
+        const f = pos - i;
+        const a = hexToRgb(colors[i]);
+        const b = hexToRgb(colors[i + 1]);
+        return '#' + [0, 1, 2].map(function (c) {
+            return Math.round(a[c] + (b[c] - a[c]) * f).toString(16).padStart(2, '0');
+        }).join('');
+    }
+
+    /**
+     * @param {string} hex - '#rrggbb' (the '#' is optional)
+     * @returns {number[]} [r, g, b]; gray for anything unparseable
+     */
+    function hexToRgb(hex) {
+        const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : [128, 128, 128];
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        rampColor,
+        hexToRgb
+    };
+
+})();
@@ -0,0 +1,281 @@
+/**
+ * Compare View Module
+ *
+ * Swipe comparison of two filter states on one map. The pinned state (A) is
+ * drawn in its own pane on the left of a draggable divider; the live markers
+ * (B, the overlay pane with the Spiderifier's layers) are clipped to the
+ * right of it.
+ *
+ * Both sides are plain CSS clips of their panes, recomputed on every map
+ * move, so panning and zooming stay in sync without a second map.
+ *
+ * Pinned markers open the same sample popups as live ones, but are not
+ * spiderified — overlapping pinned samples are reached by zooming in.
+ *
+ * Keys (while the divider handle has focus):
+ *   ← / →  → move the divider by 5% of the map width
+ *
+ * Usage:
+ *   CompareView.enable(map, {
+ *       fetchPopupContent: fetchPopupContent,   // id → Promise<html>
+ *       toLatLng: function (f) { return [f.lat, f.lon]; }
+ *   });
+ *   CompareView.setFeatures(features, { radius: 6, defaultColor: '#888' });
+ *   CompareView.setShape(layer);                 // pinned spatial filter, or null
+ *   CompareView.setLabels('A · 120 samples', 'B · 87 samples');
+ *   CompareView.disable();
+ *
+ * Dependencies: Leaflet (L), PopupBuilder
+ */
+
+const CompareView = (function () {
+
+    // =========================================================================
+    // Module State
+    // =========================================================================
+
+    let _map      = null;
+    let _options  = {};
+    let _pane     = null;      // pane holding the pinned side
+    let _renderer = null;      // canvas renderer bound to _pane
+    let _layer    = null;      // pinned markers
+    let _shape    = null;      // pinned spatial filter outline
+    let _divider  = null;      // divider element with handle and labels
+    let _labels   = null;      // { left, right } label elements
+    let _split    = 0.5;       // divider position as a fraction of map width
+
+    // =========================================================================
+    // Default Options
+    // =========================================================================
+
+    const DEFAULTS = {
+        paneName         : 'comparePane',
+        split            : 0.5,
+        keyboardStep     : 0.05,
+        fetchPopupContent: null,
+        toLatLng         : function (f) { return [f.lat, f.lon]; }
+    };
+
+    // Keep the divider handle reachable at the map edges
+    const MIN_SPLIT = 0.02;
+    const MAX_SPLIT = 0.98;
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Start comparing: create the pinned pane and the divider
+     * @param {L.Map}  map
+     * @param {Object} options - { fetchPopupContent, toLatLng, split, paneName, keyboardStep }
+     */
+    function enable(map, options) {
+        if (_map) disable();
+
+        _map     = map;
+        _options = Object.assign({}, DEFAULTS, options);
+        _split   = _options.split;
+
+        _pane = _map.getPane(_options.paneName) || _map.createPane(_options.paneName);
+        _renderer = L.canvas({ pane: _options.paneName });
+        _layer = L.featureGroup().addTo(_map);
+        _layer.on('click', _onMarkerClick);
+
+        _createDivider();
+        _map.on('move zoomend resize', _updateClip);
+        _updateClip();
+    }
+
+    /**
+     * Stop comparing and restore the unclipped live layer
+     */
+    function disable() {
+        if (!_map) return;
+
+        _map.off('move zoomend resize', _updateClip);
+        _map.removeLayer(_layer);
+        if (_shape) _map.removeLayer(_shape);
+        _map.removeLayer(_renderer);
+        _divider.remove();
+
+        _pane.style.clip = '';
+        _map.getPane('overlayPane').style.clip = '';
+
+        _map = _pane = _renderer = _layer = _shape = _divider = _labels = null;
+    }
+
+    /**
+     * @returns {boolean} Whether compare mode is on
+     */
+    function isEnabled() {
+        return !!_map;
+    }
+
+    /**
+     * Replace the pinned markers
+     * @param {Array<{id: string, lon: number, lat: number, color: string}>} features
+     * @param {Object} style - { radius, defaultColor }
+     */
+    function setFeatures(features, style) {
+        if (!_map) return;
+
+        _map.closePopup();
+        _layer.clearLayers();
+        features.forEach(function (f) {
+            const color = f.color || style.defaultColor;
+            const marker = L.circleMarker(_options.toLatLng(f), {
+                renderer   : _renderer,
+                radius     : style.radius,
+                fillColor  : color,
+                color      : color,
+                weight     : 1,
+                opacity    : 1,
+                fillOpacity: 0.7
+            });
+            marker.feature = { id: f.id, color: color };
+            _layer.addLayer(marker);
+        });
+    }
+
+    /**
+     * Show the pinned side's spatial filter outline (null removes it)
+     * @param {L.Path|null} layer - e.g. from ShapeDrawer.toLayer()
+     */
+    function setShape(layer) {
+        if (!_map) return;
+
+        if (_shape) _map.removeLayer(_shape);
+        _shape = layer;
+        if (_shape) {
+            // Draw into the pinned pane so the outline is clipped with it
+            _shape.options.renderer = _renderer;
+            _shape.options.interactive = false;
+            _shape.addTo(_map);
+        }
+    }
+
+    /**
+     * Set the captions shown on either side of the divider
+     * @param {string} left  - Pinned side (A)
+     * @param {string} right - Live side (B)
+     */
+    function setLabels(left, right) {
+        if (!_labels) return;
+        _labels.left.textContent  = left;
+        _labels.right.textContent = right;
+    }
+
+    // =========================================================================
+    // Divider
+    // =========================================================================
+
+    function _createDivider() {
+        _divider = L.DomUtil.create('div', 'compare-divider', _map.getContainer());
+
+        const handle = L.DomUtil.create('button', 'compare-handle', _divider);
+        handle.type = 'button';
+        handle.setAttribute('role', 'slider');
+        handle.setAttribute('aria-label', 'Comparison divider');
+        handle.setAttribute('aria-valuemin', '0');
+        handle.setAttribute('aria-valuemax', '100');
+        handle.innerHTML = '&#x25C0;&#x25B6;';
+
+        _labels = {
+            left : L.DomUtil.create('div', 'compare-label compare-label-left', _divider),
+            right: L.DomUtil.create('div', 'compare-label compare-label-right', _divider)
+        };
+
+        L.DomEvent.disableClickPropagation(_divider);
+        L.DomEvent.disableScrollPropagation(_divider);
+        L.DomEvent.on(handle, 'pointerdown', _onDragStart);
+        L.DomEvent.on(handle, 'keydown', _onHandleKeyDown);
+    }
+
+    function _onDragStart(e) {
+        L.DomEvent.preventDefault(e);
+        _map.dragging.disable();
+        document.addEventListener('pointermove', _onDrag);
+        document.addEventListener('pointerup', _onDragEnd);
+    }
+
+    function _onDrag(e) {
+        const rect = _map.getContainer().getBoundingClientRect();
+        _setSplit((e.clientX - rect.left) / rect.width);
+    }
+
+    function _onDragEnd() {
+        document.removeEventListener('pointermove', _onDrag);
+        document.removeEventListener('pointerup', _onDragEnd);
+        if (_map) _map.dragging.enable();
+    }
+
+    function _onHandleKeyDown(e) {
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            L.DomEvent.preventDefault(e);
+            const step = e.key === 'ArrowLeft' ? -_options.keyboardStep : _options.keyboardStep;
+            _setSplit(_split + step);
+        }
+    }
+
+    function _setSplit(fraction) {
+        _split = Math.min(MAX_SPLIT, Math.max(MIN_SPLIT, fraction));
+        _updateClip();
+    }
+
+    /**
+     * Clip the pinned pane to the left of the divider and the live overlay
+     * pane to the right of it. Panes move with the map, so the clip rects are
+     * given in layer-point coordinates and recomputed on every move.
+     */
+    function _updateClip() {
+        if (!_map) return;
+
+        const size  = _map.getSize();
+        const nw    = _map.containerPointToLayerPoint([0, 0]);
+        const se    = _map.containerPointToLayerPoint(size);
+        const clipX = nw.x + size.x * _split;
+
+        _pane.style.clip = 'rect(' + [nw.y, clipX, se.y, nw.x].join('px, ') + 'px)';
+        _map.getPane('overlayPane').style.clip =
+            'rect(' + [nw.y, se.x, se.y, clipX].join('px, ') + 'px)';
+
+        _divider.style.left = (size.x * _split) + 'px';
+        _divider.firstChild.setAttribute('aria-valuenow', String(Math.round(_split * 100)));
+    }
+
+    // =========================================================================
+    // Popups
+    // =========================================================================
+
+    // Delegated from the pinned layer; popups are bound on first click
+    function _onMarkerClick(e) {
+        const marker = e.propagatedFrom;
+        if (marker.getPopup() || !_options.fetchPopupContent) return;
+
+        const popup = L.popup();
+        marker.bindPopup(popup);
+        popup.setContent(PopupBuilder.buildLoading());
+        marker.openPopup();
+
+        _options.fetchPopupContent(marker.feature.id).then(function (html) {
+            popup.setContent(html);
+        }).catch(function (err) {
+            popup.setContent(PopupBuilder.buildError());
+            console.error('Popup fetch failed for', marker.feature.id, err);
+        });
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        enable,
+        disable,
+        isEnabled,
+        setFeatures,
+        setShape,
+        setLabels
+    };
+
+})();
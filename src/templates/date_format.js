@@ -0,0 +1,182 @@
+/**
+ * Date Format Module
+ *
+ * Converts and formats sample ages for display in either cal BP (the unit
+ * the data and the server use) or historical BCE/CE years. Only the display
+ * changes: filter values sent to the server stay in cal BP.
+ *
+ * Conversion uses 1950 CE as "present" and the historical year numbering,
+ * which has no year 0 (1 BCE is followed by 1 CE). Years are signed in
+ * number inputs, negative for BCE:
+ *   5000 cal BP → -3051 → "3,051 BCE"
+ *   1000 cal BP →   950 → "950 CE"
+ *
+ * The chosen unit is remembered in localStorage.
+ *
+ * Usage:
+ *   DateFormat.setUnit('bce');                // or 'calbp'
+ *   DateFormat.format(5000);                  // "3,051 BCE"
+ *   DateFormat.formatRange(5000, 3000);       // "3,051–1,051 BCE"
+ *   const year = DateFormat.toDisplay(5000);  // -3051 (in 'bce' unit)
+ *   const bp   = DateFormat.fromDisplay(year);
+ *
+ * No external dependencies.
+ */
+
+const DateFormat = (function () {
+
+    // =========================================================================
+    // Constants
+    // =========================================================================
+
+    const STORAGE_KEY = 'archeogeneticmap.dateUnit';
+
+    // Calendar year of "present" in cal BP
+    const BP_EPOCH = 1950;
+
+    const UNITS = {
+        calbp: { label: 'cal BP', name: 'cal BP' },
+        bce  : { label: 'BCE/CE', name: 'BCE / CE' }
+    };
+
+    // =========================================================================
+    // Module State
+    // =========================================================================
+
+    let _unit = _loadUnit();
+
+    function _loadUnit() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return UNITS[stored] ? stored : 'calbp';
+        } catch (e) {
+            return 'calbp';
+        }
+    }
+
+    // =========================================================================
+    // Unit
+    // =========================================================================
+
+    /**
+     * @returns {string} Current display unit, 'calbp' or 'bce'
+     */
+    function getUnit() {
+        return _unit;
+    }
+
+    /**
+     * Set and remember the display unit (unknown units are ignored)
+     * @param {string} unit - 'calbp' or 'bce'
+     */
+    function setUnit(unit) {
+        if (!UNITS[unit]) return;
+        _unit = unit;
+        try {
+            localStorage.setItem(STORAGE_KEY, unit);
+        } catch (e) {
+            // Storage unavailable (private mode): the unit lasts for this page
+        }
+    }
+
+    /**
+     * Short unit label for headers, e.g. "cal BP" or "BCE/CE"
+     * @param {string} [unit] - Defaults to the current unit
+     */
+    function unitLabel(unit = _unit) {
+        return UNITS[unit].label;
+    }
+
+    /**
+     * @returns {Array<{value: string, label: string}>} Units for a selector
+     */
+    function availableUnits() {
+        return Object.keys(UNITS).map(function (key) {
+            return { value: key, label: UNITS[key].name };
+        });
+    }
+
+    // =========================================================================
+    // Conversion
+    // =========================================================================
+
+    /**
+     * Convert cal BP to the number shown in date inputs
+     * @param {number} calbp
+     * @param {string} [unit] - Defaults to the current unit
+     * @returns {number} cal BP, or a signed historical year (negative = BCE)
+     */
+    function toDisplay(calbp, unit = _unit) {
+        if (unit !== 'bce') return Math.round(calbp);
+        const year = Math.round(BP_EPOCH - calbp);
+        return year <= 0 ? year - 1 : year;
+    }
+
+    /**
+     * Convert a number entered in date inputs back to cal BP
+     * @param {number} value - cal BP, or a signed historical year
+     * @param {string} [unit] - Defaults to the current unit
+     * @returns {number} cal BP
+     */
+    function fromDisplay(value, unit = _unit) {
+        if (unit !== 'bce') return value;
+        // Shift BCE years onto the astronomical scale; year 0 is read as 1 BCE
+        const year = value < 0 ? value + 1 : value;
+        return BP_EPOCH - year;
+    }
+
+    // =========================================================================
+    // Formatting
+    // =========================================================================
+
+    /**
+     * Format an age for display, e.g. "5,000 cal BP" or "3,051 BCE"
+     * @param {number} calbp
+     * @param {string} [unit] - Defaults to the current unit
+     * @returns {string}
+     */
+    function format(calbp, unit = _unit) {
+        if (typeof calbp !== 'number') return String(calbp);
+        if (unit !== 'bce') return Math.round(calbp).toLocaleString() + ' cal BP';
+        const year = toDisplay(calbp, unit);
+        return Math.abs(year).toLocaleString() + (year < 0 ? ' BCE' : ' CE');
+    }
+
+    /**
+     * Format an age range, older end first, sharing the era where possible:
+     * "5,000–3,000 cal BP", "3,051–1,051 BCE", "1,051 BCE–50 CE"
+     * @param {number} olderBp
+     * @param {number} youngerBp
+     * @param {string} [unit] - Defaults to the current unit
+     * @returns {string}
+     */
+    function formatRange(olderBp, youngerBp, unit = _unit) {
+        if (unit !== 'bce') {
+            return Math.round(olderBp).toLocaleString() + '–'
+                + Math.round(youngerBp).toLocaleString() + ' cal BP';
+        }
+        const a = toDisplay(olderBp, unit);
+        const b = toDisplay(youngerBp, unit);
+        if ((a < 0) === (b < 0)) {
+            return Math.abs(a).toLocaleString() + '–' + Math.abs(b).toLocaleString()
+                + (a < 0 ? ' BCE' : ' CE');
+        }
+        return format(olderBp, unit) + '–' + format(youngerBp, unit);
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        getUnit,
+        setUnit,
+        unitLabel,
+        availableUnits,
+        toDisplay,
+        fromDisplay,
+        format,
+        formatRange
+    };
+
+})();
@@ -0,0 +1,645 @@
+/**
+ * Figure Export Module
+ *
+ * Renders the current map view as a publication figure: basemap tiles,
+ * sample markers in their assigned colors, the drawn area, a legend, a scale
+ * bar, the tile attribution and a caption strip below the map.
+ *
+ * The figure is first laid out as a list of drawing items in CSS pixels of
+ * the map viewport, then drawn by one of two backends:
+ *   png → a canvas scaled to the chosen DPI (96 CSS px per inch), with the
+ *         DPI recorded in the file's pHYs chunk
+ *   svg → vector markers, shapes and text; the basemap is embedded as
+ *         raster tiles
+ *
+ * Tiles are fetched again from the tile server at up to two zoom levels
+ * above the view, so the basemap is sharp at print resolution. The server
+ * must allow cross-origin requests (OpenStreetMap does); tiles that fail to
+ * load are left out and counted in the result.
+ *
+ * Usage:
+ *   const result = await FigureExport.render(map, {
+ *       format: 'png', dpi: 300,
+ *       tileUrl: config.map.tileUrl, attribution: config.map.tileAttribution,
+ *       points: [{ latlng: [lat, lng], color: '#e41a1c' }, ...], radius: 5,
+ *       shape: spatialFilter,          // ShapeDrawer shape or null
+ *       legend: legendSpec,            // MapLegend spec or null
+ *       caption: '5,000–3,000 cal BP, Corded Ware · 120 of 9,000 samples'
+ *   });
+ *   // result: { blob, dpi, missingTiles }
+ *
+ * Dependencies: Leaflet (L)
+ */
+
+const FigureExport = (function () {
+
+    // =========================================================================
+    // Constants
+    // =========================================================================
+
+    const CSS_DPI = 96;
+
+    // Largest canvas drawn; the DPI is lowered for views that would exceed it
+    const MAX_CANVAS_SIDE = 16384;
+    const MAX_CANVAS_AREA = 67108864;
+
+    // Tiles are fetched at most this many zoom levels above the view
+    const MAX_TILE_ZOOM_OFFSET = 2;
+    const TILE_SIZE = 256;
+    const TILE_CONCURRENCY = 6;
+
+    const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+    const TEXT_COLOR = '#212529';
+    const MUTED_COLOR = '#6c757d';
+
+    const SHAPE_STYLE = { stroke: '#007bff', strokeWidth: 2, fill: '#007bff', fillOpacity: 0.08 };
+
+    const LEGEND_WIDTH = 200;
+    const LEGEND_MAX_ITEMS = 24;
+    const CAPTION_FONT_SIZE = 12;
+    const CAPTION_LINE_HEIGHT = 16;
+    const PADDING = 10;
+
+    const DEFAULTS = {
+        format     : 'png',
+        dpi        : 300,
+        tileUrl    : null,
+        subdomains : 'abc',
+        maxZoom    : 19,
+        attribution: '',
+        points     : [],
+        radius     : 5,
+        fillOpacity: 0.7,
+        shape      : null,
+        legend     : null,
+        caption    : ''
+    };
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Render the map view to a PNG or SVG file
+     * @param {L.Map} map
+     * @param {Object} options - See DEFAULTS
+     * @returns {Promise<{blob: Blob, dpi: number, missingTiles: number}>}
+     */
+    async function render(map, options) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const size = map.getSize();
+
+        const captionLines = _wrapText(opts.caption, size.x - 2 * PADDING, CAPTION_FONT_SIZE);
+        const captionHeight = captionLines.length
+            ? captionLines.length * CAPTION_LINE_HEIGHT + 2 * PADDING
+            : 0;
+        const width = size.x;
+        const height = size.y + captionHeight;
+
+        // Also sets the resolution of the basemap embedded in an SVG
+        const dpi = _fitDpi(opts.dpi, width, height);
+        const tiles = opts.tileUrl
+            ? await _tileItems(map, opts, dpi / CSS_DPI)
+            : { items: [], missing: 0 };
+
+        const items = [{ type: 'rect', x: 0, y: 0, w: width, h: height, fill: '#ffffff' }]
+            .concat(
+                _clip(tiles.items, size),
+                _shapeItems(map, opts.shape),
+                _markerItems(map, opts.points, opts.radius, opts.fillOpacity, size),
+                _scaleBarItems(map, size),
+                _legendAndAttributionItems(opts.legend, _plainText(opts.attribution), size),
+                _captionItems(captionLines, size.y)
+            );
+
+        const scene = { width: width, height: height, items: items };
+        const blob = opts.format === 'svg'
+            ? new Blob([_toSvg(scene)], { type: 'image/svg+xml' })
+            : await _toPng(scene, dpi);
+
+        return { blob: blob, dpi: opts.format === 'svg' ? null : dpi, missingTiles: tiles.missing };
+    }
+
+    // =========================================================================
+    // Layout: Basemap
+    // =========================================================================
+
+    /**
+     * Tiles covering the viewport at the zoom level that best matches the
+     * output scale, each loaded as a data URL
+     */
+    async function _tileItems(map, opts, scale) {
+        const zoom = Math.round(map.getZoom());
+        const offset = Math.max(0, Math.min(MAX_TILE_ZOOM_OFFSET,
+            Math.round(Math.log2(scale)), opts.maxZoom - zoom));
+        const tileZoom = zoom + offset;
+        const k = Math.pow(2, offset);
+        const drawn = TILE_SIZE / k;
+        const origin = map.getPixelBounds().min;
+        const size = map.getSize();
+        const count = Math.pow(2, tileZoom);
+        const subdomains = typeof opts.subdomains === 'string' ? opts.subdomains.split('') : opts.subdomains;
+
+        const tiles = [];
+        const x0 = Math.floor(origin.x / drawn), x1 = Math.floor((origin.x + size.x) / drawn);
+        const y0 = Math.max(0, Math.floor(origin.y / drawn));
+        const y1 = Math.min(count - 1, Math.floor((origin.y + size.y) / drawn));
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const wrapped = ((x % count) + count) % count;
+                tiles.push({
+                    url: L.Util.template(opts.tileUrl, {
+                        s: subdomains[Math.abs(wrapped + y) % subdomains.length],
+                        x: wrapped, y: y, z: tileZoom, r: ''
+                    }),
+                    x: x * drawn - origin.x,
+                    y: y * drawn - origin.y
+                });
+            }
+        }
+
+        const items = [];
+        let missing = 0;
+        await _eachLimited(tiles, TILE_CONCURRENCY, async function (tile) {
+            try {
+                const response = await fetch(tile.url, { mode: 'cors' });
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                const href = await _blobToDataUrl(await response.blob());
+                items.push({ type: 'image', x: tile.x, y: tile.y, w: drawn, h: drawn, href: href });
+            } catch (e) {
+                console.warn('Figure tile failed:', tile.url, e);
+                missing++;
+            }
+        });
+        return { items: items, missing: missing };
+    }
+
+    /**
+     * Run fn over items with at most `limit` calls in flight
+     */
+    async function _eachLimited(items, limit, fn) {
+        let next = 0;
+        const workers = [];
+        for (let i = 0; i < Math.min(limit, items.length); i++) {
+            workers.push((async function () {
+                while (next < items.length) await fn(items[next++]);
+            })());
+        }
+        await Promise.all(workers);
+    }
+
+    function _blobToDataUrl(blob) {
+        return new Promise(function (resolve, reject) {
+            const reader = new FileReader();
+            reader.onload = function () { resolve(reader.result); };
+            reader.onerror = function () { reject(reader.error); };
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /** Wrap items in a clip to the map area, so tiles stop at the caption */
+    function _clip(items, size) {
+        return items.length ? [{ type: 'clip', w: size.x, h: size.y, items: items }] : [];
+    }
+
+    // =========================================================================
+    // Layout: Vector Layers
+    // =========================================================================
+
+    function _markerItems(map, points, radius, fillOpacity, size) {
+        const items = [];
+        points.forEach(function (point) {
+            const p = map.latLngToContainerPoint(point.latlng);
+            if (p.x < -radius || p.y < -radius || p.x > size.x + radius || p.y > size.y + radius) return;
+            items.push({
+                type: 'circle', x: p.x, y: p.y, r: radius,
+                fill: point.color, fillOpacity: fillOpacity,
+                stroke: point.color, strokeWidth: 1
+            });
+        });
+        return items;
+    }
+
+    /**
+     * The drawn area (see ShapeDrawer for the shape format)
+     */
+    function _shapeItems(map, shape) {
+        if (!shape) return [];
+        const point = function (lon, lat) {
+            const p = map.latLngToContainerPoint([lat, lon]);
+            return [p.x, p.y];
+        };
+
+        if (shape.type === 'circle') {
+            const center = map.latLngToContainerPoint([shape.center[1], shape.center[0]]);
+            // Radius measured along the meridian, as L.circle does
+            const edge = map.latLngToContainerPoint([shape.center[1] + shape.radius / 111320, shape.center[0]]);
+            return [Object.assign({ type: 'circle', x: center.x, y: center.y, r: center.distanceTo(edge) }, SHAPE_STYLE)];
+        }
+
+        let points;
+        if (shape.type === 'rectangle') {
+            const b = shape.bounds;
+            points = [point(b[0], b[1]), point(b[2], b[1]), point(b[2], b[3]), point(b[0], b[3])];
+        } else if (shape.type === 'polygon') {
+            points = shape.coordinates.map(function (c) { return point(c[0], c[1]); });
+        } else {
+            return [];
+        }
+        return [Object.assign({ type: 'polygon', points: points }, SHAPE_STYLE)];
+    }
+
+    // =========================================================================
+    // Layout: Scale Bar, Legend, Attribution, Caption
+    // =========================================================================
+
+    /**
+     * Metric scale bar of at most 100 px in the bottom-left corner, measured
+     * at the vertical center of the view
+     */
+    function _scaleBarItems(map, size) {
+        const MAX_WIDTH = 100;
+        const y = size.y / 2;
+        const metersPerPixel = map.distance(
+            map.containerPointToLatLng([0, y]),
+            map.containerPointToLatLng([MAX_WIDTH, y])
+        ) / MAX_WIDTH;
+        if (!(metersPerPixel > 0)) return [];
+
+        const maxMeters = metersPerPixel * MAX_WIDTH;
+        const pow10 = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+        const d = maxMeters / pow10;
+        const meters = (d >= 5 ? 5 : d >= 2 ? 2 : 1) * pow10;
+        const barWidth = meters / metersPerPixel;
+        const label = meters >= 1000 ? (meters / 1000).toLocaleString() + ' km' : meters + ' m';
+
+        const x = PADDING, bottom = size.y - PADDING;
+        return [
+            { type: 'rect', x: x - 4, y: bottom - 24, w: barWidth + 8, h: 28, fill: '#ffffff', fillOpacity: 0.8 },
+            { type: 'polyline', points: [[x, bottom - 6], [x, bottom], [x + barWidth, bottom], [x + barWidth, bottom - 6]],
+              stroke: TEXT_COLOR, strokeWidth: 2 },
+            { type: 'text', x: x, y: bottom - 10, text: label, size: 11, color: TEXT_COLOR }
+        ];
+    }
+
+    /**
+     * Legend box above the attribution, both in the bottom-right corner
+     */
+    function _legendAndAttributionItems(legend, attribution, size) {
+        const items = [];
+        let bottom = size.y;
+
+        if (attribution) {
+            const width = _measure(attribution, 10) + 8;
+            items.push(
+                { type: 'rect', x: size.x - width, y: bottom - 16, w: width, h: 16, fill: '#ffffff', fillOpacity: 0.8 },
+                { type: 'text', x: size.x - 4, y: bottom - 4, text: attribution, size: 10, color: MUTED_COLOR, anchor: 'end' }
+            );
+            bottom -= 16;
+        }
+        if (!legend) return items;
+
+        const body = legend.items ? _categoryRows(legend) : _gradientRows(legend);
+        const height = 26 + body.height + PADDING;
+        const x = size.x - LEGEND_WIDTH - PADDING;
+        const y = bottom - height - PADDING;
+
+        items.push(
+            { type: 'rect', x: x, y: y, w: LEGEND_WIDTH, h: height, fill: '#ffffff', fillOpacity: 0.9,
+              stroke: '#cccccc', strokeWidth: 1 },
+            { type: 'text', x: x + PADDING, y: y + 18, text: legend.title, size: 12, weight: 'bold', color: TEXT_COLOR }
+        );
+        body.items.forEach(function (item) {
+            items.push(_offset(item, x + PADDING, y + 26));
+        });
+        return items;
+    }
+
+    function _gradientRows(legend) {
+        const width = LEGEND_WIDTH - 2 * PADDING;
+        const items = [{ type: 'gradient', x: 0, y: 0, w: width, h: 12, colors: _gradientColors(legend.gradient) }];
+        (legend.ticks || []).forEach(function (tick) {
+            const anchor = tick.position <= 0 ? 'start' : tick.position >= 100 ? 'end' : 'middle';
+            items.push({ type: 'text', x: width * tick.position / 100, y: 26, text: tick.label,
+                         size: 10, color: MUTED_COLOR, anchor: anchor });
+        });
+        return { items: items, height: 30 };
+    }
+
+    function _categoryRows(legend) {
+        const ROW = 16;
+        const active = legend.items.filter(function (item) { return item.active; });
+        const shown = active.slice(0, LEGEND_MAX_ITEMS);
+        const items = [];
+
+        shown.forEach(function (item, i) {
+            const y = i * ROW;
+            items.push(
+                { type: 'circle', x: 6, y: y + 7, r: 5, fill: item.color, fillOpacity: 0.7,
+                  stroke: item.color, strokeWidth: 1 },
+                { type: 'text', x: 18, y: y + 11,
+                  text: _truncate(item.name, LEGEND_WIDTH - 2 * PADDING - 18, 11), size: 11, color: TEXT_COLOR }
+            );
+        });
+        let rows = shown.length;
+        if (active.length > shown.length) {
+            items.push({ type: 'text', x: 18, y: rows * ROW + 11, size: 11, color: MUTED_COLOR,
+                         text: '+' + (active.length - shown.length) + ' more' });
+            rows++;
+        }
+        return { items: items, height: rows * ROW };
+    }
+
+    function _captionItems(lines, top) {
+        if (lines.length === 0) return [];
+        return lines.map(function (line, i) {
+            return { type: 'text', x: PADDING, y: top + PADDING + (i + 1) * CAPTION_LINE_HEIGHT - 4,
+                     text: line, size: CAPTION_FONT_SIZE, color: TEXT_COLOR };
+        });
+    }
+
+    // =========================================================================
+    // Layout Helpers
+    // =========================================================================
+
+    let _measureContext = null;
+
+    function _font(size, weight) {
+        return (weight === 'bold' ? 'bold ' : '') + size + 'px ' + FONT_FAMILY;
+    }
+
+    function _measure(text, size, weight) {
+        if (!_measureContext) _measureContext = document.createElement('canvas').getContext('2d');
+        _measureContext.font = _font(size, weight);
+        return _measureContext.measureText(text).width;
+    }
+
+    /** Greedy word wrap to a pixel width */
+    function _wrapText(text, width, size) {
+        if (!text) return [];
+        const lines = [];
+        let line = '';
+        text.split(/\s+/).forEach(function (word) {
+            const candidate = line ? line + ' ' + word : word;
+            if (line && _measure(candidate, size) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    function _truncate(text, width, size) {
+        if (_measure(text, size) <= width) return text;
+        let end = text.length;
+        while (end > 0 && _measure(text.slice(0, end) + '…', size) > width) end--;
+        return text.slice(0, end) + '…';
+    }
+
+    /** Attribution HTML (links, &copy;) as plain text */
+    function _plainText(html) {
+        const div = document.createElement('div');
+        div.innerHTML = html || '';
+        return div.textContent.trim();
+    }
+
+    /** Colors of a CSS linear-gradient(to right, ...) string */
+    function _gradientColors(css) {
+        const match = /linear-gradient\(\s*to right\s*,(.*)\)\s*$/.exec(css || '');
+        return match ? match[1].split(',').map(function (c) { return c.trim(); }) : ['#808080'];
+    }
+
+    function _offset(item, dx, dy) {
+        const moved = Object.assign({}, item, { x: item.x + dx, y: item.y + dy });
+        if (item.points) moved.points = item.points.map(function (p) { return [p[0] + dx, p[1] + dy]; });
+        return moved;
+    }
+
+    /**
+     * Highest DPI up to the requested one whose canvas stays within limits
+     */
+    function _fitDpi(dpi, width, height) {
+        const scale = Math.min(
+            dpi / CSS_DPI,
+            MAX_CANVAS_SIDE / Math.max(width, height),
+            Math.sqrt(MAX_CANVAS_AREA / (width * height))
+        );
+        return Math.floor(scale * CSS_DPI);
+    }
+
+    // =========================================================================
+    // Backend: PNG
+    // =========================================================================
+
+    async function _toPng(scene, dpi) {
+        const scale = dpi / CSS_DPI;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(scene.width * scale);
+        canvas.height = Math.round(scene.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+
+        await _drawItems(ctx, scene.items);
+
+        const blob = await new Promise(function (resolve) { canvas.toBlob(resolve, 'image/png'); });
+        return _withDpi(blob, dpi);
+    }
+
+    async function _drawItems(ctx, items) {
+        for (const item of items) {
+            ctx.save();
+            ctx.globalAlpha = 1;
+            switch (item.type) {
+                case 'clip':
+                    ctx.beginPath();
+                    ctx.rect(0, 0, item.w, item.h);
+                    ctx.clip();
+                    await _drawItems(ctx, item.items);
+                    break;
+                case 'image': {
+                    const image = new Image();
+                    image.src = item.href;
+                    await image.decode();
+                    ctx.drawImage(image, item.x, item.y, item.w, item.h);
+                    break;
+                }
+                case 'rect':
+                    ctx.beginPath();
+                    ctx.rect(item.x, item.y, item.w, item.h);
+                    _fillAndStroke(ctx, item);
+                    break;
+                case 'circle':
+                    ctx.beginPath();
+                    ctx.arc(item.x, item.y, item.r, 0, 2 * Math.PI);
+                    _fillAndStroke(ctx, item);
+                    break;
+                case 'polygon':
+                case 'polyline':
+                    ctx.beginPath();
+                    item.points.forEach(function (p, i) {
+                        if (i === 0) ctx.moveTo(p[0], p[1]);
+                        else ctx.lineTo(p[0], p[1]);
+                    });
+                    if (item.type === 'polygon') ctx.closePath();
+                    _fillAndStroke(ctx, item);
+                    break;
+                case 'gradient': {
+                    const gradient = ctx.createLinearGradient(item.x, 0, item.x + item.w, 0);
+                    item.colors.forEach(function (color, i) {
+                        gradient.addColorStop(item.colors.length > 1 ? i / (item.colors.length - 1) : 0, color);
+                    });
+                    ctx.fillStyle = gradient;
+                    ctx.fillRect(item.x, item.y, item.w, item.h);
+                    break;
+                }
+                case 'text':
+                    ctx.font = _font(item.size, item.weight);
+                    ctx.fillStyle = item.color;
+                    ctx.textAlign = item.anchor === 'end' ? 'right' : item.anchor === 'middle' ? 'center' : 'left';
+                    ctx.fillText(item.text, item.x, item.y);
+                    break;
+            }
+            ctx.restore();
+        }
+    }
+
+    function _fillAndStroke(ctx, item) {
+        if (item.fill) {
+            ctx.globalAlpha = item.fillOpacity === undefined ? 1 : item.fillOpacity;
+            ctx.fillStyle = item.fill;
+            ctx.fill();
+        }
+        if (item.stroke) {
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = item.stroke;
+            ctx.lineWidth = item.strokeWidth || 1;
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Insert a pHYs chunk after IHDR so the PNG carries its DPI
+     */
+    async function _withDpi(blob, dpi) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const IHDR_END = 8 + 25;   // signature + IHDR (length, type, 13 data bytes, CRC)
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4);   // "pHYs"
+        view.setUint32(8, pixelsPerMeter);
+        view.setUint32(12, pixelsPerMeter);
+        chunk[16] = 1;                            // unit: metre
+        view.setUint32(17, _crc32(chunk.subarray(4, 17)));
+
+        return new Blob([bytes.subarray(0, IHDR_END), chunk, bytes.subarray(IHDR_END)], { type: 'image/png' });
+    }
+
+    let _crcTable = null;
+
+    function _crc32(bytes) {
+        if (!_crcTable) {
+            _crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                _crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // =========================================================================
+    // Backend: SVG
+    // =========================================================================
+
+    function _toSvg(scene) {
+        const defs = [];
+        const body = _svgItems(scene.items, defs);
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+            ' width="' + scene.width + '" height="' + scene.height + '"' +
+            ' viewBox="0 0 ' + scene.width + ' ' + scene.height + '">\n' +
+            (defs.length ? '<defs>\n' + defs.join('\n') + '\n</defs>\n' : '') +
+            body.join('\n') + '\n</svg>\n';
+    }
+
+    function _svgItems(items, defs) {
+        return items.map(function (item) {
+            switch (item.type) {
+                case 'clip': {
+                    const id = 'clip' + defs.length;
+                    defs.push('<clipPath id="' + id + '"><rect width="' + item.w + '" height="' + item.h + '"/></clipPath>');
+                    return '<g clip-path="url(#' + id + ')">\n' + _svgItems(item.items, defs).join('\n') + '\n</g>';
+                }
+                case 'image':
+                    return '<image x="' + _n(item.x) + '" y="' + _n(item.y) + '" width="' + _n(item.w) +
+                        '" height="' + _n(item.h) + '" xlink:href="' + item.href + '"/>';
+                case 'rect':
+                    return '<rect x="' + _n(item.x) + '" y="' + _n(item.y) + '" width="' + _n(item.w) +
+                        '" height="' + _n(item.h) + '"' + _svgPaint(item) + '/>';
+                case 'circle':
+                    return '<circle cx="' + _n(item.x) + '" cy="' + _n(item.y) + '" r="' + _n(item.r) + '"' +
+                        _svgPaint(item) + '/>';
+                case 'polygon':
+                case 'polyline':
+                    return '<' + item.type + ' points="' +
+                        item.points.map(function (p) { return _n(p[0]) + ',' + _n(p[1]); }).join(' ') + '"' +
+                        _svgPaint(Object.assign({ fill: item.type === 'polyline' ? 'none' : null }, item)) + '/>';
+                case 'gradient': {
+                    const id = 'gradient' + defs.length;
+                    const stops = item.colors.map(function (color, i) {
+                        const offset = item.colors.length > 1 ? i / (item.colors.length - 1) : 0;
+                        return '<stop offset="' + offset + '" stop-color="' + _esc(color) + '"/>';
+                    });
+                    defs.push('<linearGradient id="' + id + '">' + stops.join('') + '</linearGradient>');
+                    return '<rect x="' + _n(item.x) + '" y="' + _n(item.y) + '" width="' + _n(item.w) +
+                        '" height="' + _n(item.h) + '" fill="url(#' + id + ')"/>';
+                }
+                case 'text':
+                    return '<text x="' + _n(item.x) + '" y="' + _n(item.y) + '"' +
+                        ' font-family="' + FONT_FAMILY + '" font-size="' + item.size + '"' +
+                        (item.weight ? ' font-weight="' + item.weight + '"' : '') +
+                        (item.anchor ? ' text-anchor="' + item.anchor + '"' : '') +
+                        ' fill="' + _esc(item.color) + '">' + _esc(item.text) + '</text>';
+            }
+            return '';
+        });
+    }
+
+    function _svgPaint(item) {
+        let attrs = ' fill="' + (item.fill ? _esc(item.fill) : 'none') + '"';
+        if (item.fill && item.fillOpacity !== undefined) attrs += ' fill-opacity="' + item.fillOpacity + '"';
+        if (item.stroke) attrs += ' stroke="' + _esc(item.stroke) + '" stroke-width="' + (item.strokeWidth || 1) + '"';
+        return attrs;
+    }
+
+    function _n(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function _esc(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        render,
+        DEFAULTS
+    };
+
+})();
@@ -0,0 +1,106 @@
+/**
+ * Haplotree Browser Module
+ *
+ * Flattens the Y-haplotree served by /api/haplotree into the rows of a
+ * collapsible tree picker. The tree itself is nested nodes
+ *   { name, count, children: [...] }
+ * whose root (name "") holds every sample with a haplotree path; counts
+ * are samples under the current filters, ignoring the Y filters themselves.
+ *
+ * Rows are keyed by the lowercased path from the root ("ca>bt>ct"), so the
+ * expanded state survives a reload of the tree with different counts.
+ *
+ * With a search text, only nodes whose name contains it are listed, along
+ * with their ancestors, which are shown expanded regardless of the expanded
+ * state.
+ *
+ * Usage:
+ *   const rows = HaplotreeBrowser.rows(tree, { 'ca': true }, 'm26');
+ *   // [{ key, name, count, depth, hasChildren, expanded, match }, ...]
+ *
+ * No external dependencies.
+ */
+
+const HaplotreeBrowser = (function () {
+
+    // =========================================================================
+    // Constants
+    // =========================================================================
+
+    const KEY_SEPARATOR = '>';
+
+    // Rows listed at most, so a short search text cannot list the whole tree
+    const MAX_ROWS = 500;
+
+    // =========================================================================
+    // Rows
+    // =========================================================================
+
+    /**
+     * Visible rows of the tree in display order
+     *
+     * @param {Object|null} tree - Root node from /api/haplotree
+     * @param {Object<string, boolean>} expanded - Keys of expanded nodes
+     * @param {string} [search] - Case-insensitive substring of node names
+     * @returns {Array<{key: string, name: string, count: number, depth: number,
+     *                  hasChildren: boolean, expanded: boolean, match: boolean}>}
+     */
+    function rows(tree, expanded, search = '') {
+        if (!tree) return [];
+
+        const needle = search.trim().toLowerCase();
+        const out = [];
+
+        function visit(node, parentKey, depth) {
+            if (out.length >= MAX_ROWS) return;
+
+            const key = parentKey ? parentKey + KEY_SEPARATOR + node.name.toLowerCase()
+                                  : node.name.toLowerCase();
+            const children = node.children || [];
+            const match = needle !== '' && node.name.toLowerCase().includes(needle);
+
+            if (needle && !match && !_hasMatch(node, needle)) return;
+
+            // While searching, ancestors of matches are opened; a matching
+            // node keeps its own expanded state
+            const open = children.length > 0 &&
+                (needle && !match ? true : !!expanded[key]);
+
+            out.push({
+                key: key,
+                name: node.name,
+                count: node.count,
+                depth: depth,
+                hasChildren: children.length > 0,
+                expanded: open,
+                match: match
+            });
+
+            if (open) {
+                children.forEach(function (child) { visit(child, key, depth + 1); });
+            }
+        }
+
+        (tree.children || []).forEach(function (child) { visit(child, '', 0); });
+        return out;
+    }
+
+    /**
+     * @returns {boolean} Whether any descendant of node matches the search
+     */
+    function _hasMatch(node, needle) {
+        return (node.children || []).some(function (child) {
+            return child.name.toLowerCase().includes(needle) || _hasMatch(child, needle);
+        });
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        rows,
+        MAX_ROWS
+    };
+
+})();
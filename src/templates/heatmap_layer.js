@@ -0,0 +1,303 @@
+/**
+ * Heatmap Layer Module
+ *
+ * Kernel-density surface of sample locations, drawn on a canvas as an
+ * alternative to circle markers where thousands of points overlap.
+ *
+ * Each sample contributes a Gaussian kernel whose standard deviation is the
+ * bandwidth in kilometres (converted to pixels at the map center's latitude,
+ * so the surface keeps its geographic meaning across zoom levels). Densities
+ * are accumulated on a grid of about four cells per bandwidth, which keeps
+ * the cost per sample constant, and the grid is scaled up with smoothing.
+ *
+ * Modes:
+ *   single surface → density colored through an intensity ramp
+ *   byCategory     → one surface per marker color (legend category), each
+ *                    drawn in its own color; all surfaces share one
+ *                    normalization so their intensities stay comparable
+ *
+ * Usage:
+ *   const heat = HeatmapLayer.create({ bandwidthKm: 50, colors: rampColors });
+ *   heat.addTo(map);
+ *   heat.setData([{ latlng: [lat, lng], color: '#e41a1c' }, ...]);
+ *   heat.setOptions({ byCategory: true });
+ *
+ * Dependencies: Leaflet (L), ColorUtils
+ */
+
+const HeatmapLayer = (function () {
+
+    // =========================================================================
+    // Constants
+    // =========================================================================
+
+    const EARTH_CIRCUMFERENCE_M = 40075016.686;
+
+    // Grid cells per kernel standard deviation
+    const CELLS_PER_SIGMA = 4;
+
+    // Kernels are truncated at this many standard deviations
+    const KERNEL_EXTENT = 3;
+
+    // Densities below this fraction of the maximum are left transparent
+    const MIN_VISIBLE = 0.01;
+
+    // =========================================================================
+    // Default Options
+    // =========================================================================
+
+    const DEFAULTS = {
+        bandwidthKm: 50,
+        colors     : ['#440154', '#31688e', '#1f9d8a', '#b6de2b', '#fee825'],
+        byCategory : false,
+        opacity    : 0.8,
+        minSigmaPx : 2,
+        maxSigmaPx : 200
+    };
+
+    // =========================================================================
+    // Layer
+    // =========================================================================
+
+    const DensityLayer = L.Layer.extend({
+
+        options: DEFAULTS,
+
+        initialize: function (options) {
+            L.setOptions(this, options);
+            this._points = [];
+        },
+
+        onAdd: function (map) {
+            this._canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide', this.getPane());
+            map.on('moveend zoomend resize', this._redraw, this);
+            this._redraw();
+        },
+
+        onRemove: function (map) {
+            map.off('moveend zoomend resize', this._redraw, this);
+            L.DomUtil.remove(this._canvas);
+            this._canvas = null;
+        },
+
+        /**
+         * @param {Array<{latlng: number[], color: string}>} points
+         */
+        setData: function (points) {
+            this._points = points;
+            this._redraw();
+            return this;
+        },
+
+        /**
+         * @param {Object} options - Any of bandwidthKm, colors, byCategory, opacity
+         */
+        setOptions: function (options) {
+            L.setOptions(this, options);
+            this._redraw();
+            return this;
+        },
+
+        _redraw: function () {
+            if (!this._map) return;
+
+            const map  = this._map;
+            const size = map.getSize();
+            const canvas = this._canvas;
+
+            canvas.width  = size.x;
+            canvas.height = size.y;
+            L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+            if (this._points.length === 0) return;
+
+            const sigma = this._sigmaPixels();
+            const cell  = Math.max(1, sigma / CELLS_PER_SIGMA);
+            const grid  = {
+                cell: cell,
+                cols: Math.ceil(size.x / cell),
+                rows: Math.ceil(size.y / cell)
+            };
+            const kernel   = _buildKernel(sigma / cell);
+            const surfaces = this._project(map, size, sigma * KERNEL_EXTENT);
+
+            // First pass: shared maximum, so surfaces are comparable
+            const density = new Float32Array(grid.cols * grid.rows);
+            let max = 0;
+            surfaces.forEach(function (points) {
+                density.fill(0);
+                max = Math.max(max, _accumulate(density, grid, kernel, points));
+            });
+            if (max === 0) return;
+
+            const ctx = canvas.getContext('2d');
+            const scratch = document.createElement('canvas');
+            scratch.width  = grid.cols;
+            scratch.height = grid.rows;
+            const palette = this.options.byCategory ? null : _buildPalette(this.options.colors);
+
+            // Second pass: colorize each surface and draw it scaled up
+            surfaces.forEach(function (points, color) {
+                if (surfaces.size > 1) {
+                    density.fill(0);
+                    _accumulate(density, grid, kernel, points);
+                }
+                const image = scratch.getContext('2d').createImageData(grid.cols, grid.rows);
+                _colorize(image.data, density, max, palette, ColorUtils.hexToRgb(color), this.options.opacity);
+                scratch.getContext('2d').putImageData(image, 0, 0);
+
+                ctx.imageSmoothingEnabled = true;
+                ctx.drawImage(scratch, 0, 0, grid.cols * cell, grid.rows * cell);
+            }, this);
+        },
+
+        /** Kernel standard deviation in screen pixels at the map center */
+        _sigmaPixels: function () {
+            const map = this._map;
+            const metersPerPixel = EARTH_CIRCUMFERENCE_M *
+                Math.cos(map.getCenter().lat * Math.PI / 180) / (256 * Math.pow(2, map.getZoom()));
+            const sigma = this.options.bandwidthKm * 1000 / metersPerPixel;
+            return Math.min(this.options.maxSigmaPx, Math.max(this.options.minSigmaPx, sigma));
+        },
+
+        /**
+         * Container points of samples within reach of the viewport, grouped
+         * by surface (marker color in byCategory mode, one group otherwise)
+         * @returns {Map<string, Array<number[]>>}
+         */
+        _project: function (map, size, reach) {
+            const surfaces = new Map();
+            const byCategory = this.options.byCategory;
+
+            this._points.forEach(function (point) {
+                const p = map.latLngToContainerPoint(point.latlng);
+                if (p.x < -reach || p.y < -reach ||
+                    p.x > size.x + reach || p.y > size.y + reach) return;
+
+                const key = byCategory ? point.color : '';
+                if (!surfaces.has(key)) surfaces.set(key, []);
+                surfaces.get(key).push([p.x, p.y]);
+            });
+            return surfaces;
+        }
+    });
+
+    // =========================================================================
+    // Density Helpers
+    // =========================================================================
+
+    /**
+     * Square Gaussian kernel in grid cells
+     * @param {number} sigmaCells
+     * @returns {{radius: number, weights: Float32Array}}
+     */
+    function _buildKernel(sigmaCells) {
+        const radius = Math.ceil(KERNEL_EXTENT * sigmaCells);
+        const width  = 2 * radius + 1;
+        const weights = new Float32Array(width * width);
+        const denom = 2 * sigmaCells * sigmaCells;
+
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                weights[(dy + radius) * width + (dx + radius)] = Math.exp(-(dx * dx + dy * dy) / denom);
+            }
+        }
+        return { radius: radius, weights: weights };
+    }
+
+    /**
+     * Add one kernel per point to the density grid
+     * @returns {number} Maximum density in the grid
+     */
+    function _accumulate(density, grid, kernel, points) {
+        const r = kernel.radius;
+        const width = 2 * r + 1;
+        const weights = kernel.weights;
+
+        points.forEach(function (p) {
+            const cx = Math.round(p[0] / grid.cell);
+            const cy = Math.round(p[1] / grid.cell);
+            const y0 = Math.max(0, cy - r), y1 = Math.min(grid.rows - 1, cy + r);
+            const x0 = Math.max(0, cx - r), x1 = Math.min(grid.cols - 1, cx + r);
+
+            for (let y = y0; y <= y1; y++) {
+                const row = y * grid.cols;
+                const krow = (y - cy + r) * width - cx + r;
+                for (let x = x0; x <= x1; x++) {
+                    density[row + x] += weights[krow + x];
+                }
+            }
+        });
+
+        let max = 0;
+        for (let i = 0; i < density.length; i++) {
+            if (density[i] > max) max = density[i];
+        }
+        return max;
+    }
+
+    /**
+     * Fill RGBA pixels from densities: through the palette when given,
+     * otherwise in a single color. Alpha grows with the square root of the
+     * normalized density so sparse areas stay visible.
+     */
+    function _colorize(pixels, density, max, palette, rgb, opacity) {
+        for (let i = 0; i < density.length; i++) {
+            const t = density[i] / max;
+            if (t < MIN_VISIBLE) continue;
+
+            const o = i * 4;
+            if (palette) {
+                const p = Math.min(255, Math.floor(t * 256)) * 4;
+                pixels[o]     = palette[p];
+                pixels[o + 1] = palette[p + 1];
+                pixels[o + 2] = palette[p + 2];
+            } else {
+                pixels[o]     = rgb[0];
+                pixels[o + 1] = rgb[1];
+                pixels[o + 2] = rgb[2];
+            }
+            pixels[o + 3] = Math.round(255 * opacity * Math.sqrt(t));
+        }
+    }
+
+    /**
+     * 256-step RGBA lookup table interpolated from ramp colors
+     * @param {string[]} colors
+     * @returns {Uint8ClampedArray}
+     */
+    function _buildPalette(colors) {
+        const canvas = document.createElement('canvas');
+        canvas.width  = 256;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+        colors.forEach(function (color, i) {
+            gradient.addColorStop(colors.length > 1 ? i / (colors.length - 1) : 0, color);
+        });
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 256, 1);
+        return ctx.getImageData(0, 0, 256, 1).data;
+    }
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Create a density layer (add it to a map with layer.addTo(map))
+     * @param {Object} options - { bandwidthKm, colors, byCategory, opacity, minSigmaPx, maxSigmaPx }
+     * @returns {L.Layer}
+     */
+    function create(options) {
+        return new DensityLayer(options);
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        create
+    };
+
+})();
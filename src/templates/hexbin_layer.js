@@ -0,0 +1,243 @@
+/**
+ * Hexbin Layer Module
+ *
+ * Aggregates sample locations into hexagonal bins of a fixed on-screen size,
+ * for continent-scale pictures of frequencies instead of a carpet of dots.
+ *
+ * Bins are laid out in projected pixel space at the current zoom (so they
+ * stay put while panning) and recomputed on every zoom. Each bin is filled
+ *   by count    → bin count through a color ramp (log scale)
+ *   by dominant → the most frequent marker color in the bin
+ * Clicking a bin opens a popup with its composition by marker color, named
+ * through the nameOf option (the active colorBy legend).
+ *
+ * Usage:
+ *   const hex = HexbinLayer.create({
+ *       radius: 18, colorMode: 'count', colors: rampColors,
+ *       nameOf: function (color) { return legendName || null; }
+ *   });
+ *   hex.addTo(map);
+ *   hex.setData([{ latlng: [lat, lng], color: '#e41a1c' }, ...]);
+ *   hex.setOptions({ colorMode: 'dominant' });
+ *
+ * Dependencies: Leaflet (L), PopupBuilder, ColorUtils
+ */
+
+const HexbinLayer = (function () {
+
+    // =========================================================================
+    // Default Options
+    // =========================================================================
+
+    const DEFAULTS = {
+        radius     : 18,          // hexagon circumradius in pixels
+        colorMode  : 'count',     // 'count' | 'dominant'
+        colors     : ['#440154', '#31688e', '#1f9d8a', '#b6de2b', '#fee825'],
+        fillOpacity: 0.7,
+        nameOf     : function () { return null; }
+    };
+
+    const SQRT3 = Math.sqrt(3);
+
+    // =========================================================================
+    // Layer
+    // =========================================================================
+
+    const BinLayer = L.Layer.extend({
+
+        options: DEFAULTS,
+
+        initialize: function (options) {
+            L.setOptions(this, options);
+            this._points = [];
+            this._cells  = L.featureGroup();
+            this._cells.on('click', this._onCellClick, this);
+        },
+
+        onAdd: function (map) {
+            this._cells.addTo(map);
+            map.on('zoomend', this._rebuild, this);
+            this._rebuild();
+        },
+
+        onRemove: function (map) {
+            map.off('zoomend', this._rebuild, this);
+            map.closePopup();
+            map.removeLayer(this._cells);
+        },
+
+        /**
+         * @param {Array<{latlng: number[], color: string}>} points
+         */
+        setData: function (points) {
+            this._points = points;
+            this._rebuild();
+            return this;
+        },
+
+        /**
+         * @param {Object} options - Any of radius, colorMode, colors, fillOpacity, nameOf
+         */
+        setOptions: function (options) {
+            L.setOptions(this, options);
+            this._rebuild();
+            return this;
+        },
+
+        _rebuild: function () {
+            if (!this._map) return;
+
+            this._map.closePopup();
+            this._cells.clearLayers();
+
+            const bins = _bin(this._map, this._points, this.options.radius);
+            let maxCount = 0;
+            bins.forEach(function (bin) { maxCount = Math.max(maxCount, bin.count); });
+
+            bins.forEach(function (bin) {
+                const fill = this.options.colorMode === 'dominant'
+                    ? _dominantColor(bin)
+                    : ColorUtils.rampColor(this.options.colors, Math.log(bin.count + 1) / Math.log(maxCount + 1));
+
+                const cell = L.polygon(_hexagon(this._map, bin, this.options.radius), {
+                    color      : '#ffffff',
+                    weight     : 1,
+                    fillColor  : fill,
+                    fillOpacity: this.options.fillOpacity
+                });
+                cell.bin = bin;
+                this._cells.addLayer(cell);
+            }, this);
+        },
+
+        _onCellClick: function (e) {
+            const bin = e.propagatedFrom.bin;
+            L.popup()
+                .setLatLng(e.latlng)
+                .setContent(_buildPopup(bin, this.options.nameOf))
+                .openOn(this._map);
+        }
+    });
+
+    // =========================================================================
+    // Binning
+    // =========================================================================
+
+    /**
+     * Group points into hexagons of circumradius r in projected pixels
+     * (pointy-top layout, odd rows offset by half a hexagon).
+     * @returns {Map<string, {x: number, y: number, count: number, colors: Map<string, number>}>}
+     */
+    function _bin(map, points, r) {
+        const zoom = map.getZoom();
+        const dx = SQRT3 * r;
+        const dy = 1.5 * r;
+        const bins = new Map();
+
+        points.forEach(function (point) {
+            const p = map.project(point.latlng, zoom);
+
+            // The nearest hexagon center lies in one of the two rows around
+            // the point (rows are 1.5r apart, every point is within r of a center)
+            const j0 = Math.floor(p.y / dy);
+            let pi = 0, pj = 0, best = Infinity;
+            for (let j = j0; j <= j0 + 1; j++) {
+                const offset = (j & 1) / 2;
+                const i = Math.round(p.x / dx - offset);
+                const d = Math.pow(p.x - (i + offset) * dx, 2) + Math.pow(p.y - j * dy, 2);
+                if (d < best) {
+                    best = d;
+                    pi = i;
+                    pj = j;
+                }
+            }
+
+            const key = pi + ',' + pj;
+            let bin = bins.get(key);
+            if (!bin) {
+                bin = { x: (pi + (pj & 1) / 2) * dx, y: pj * dy, count: 0, colors: new Map() };
+                bins.set(key, bin);
+            }
+            bin.count++;
+            bin.colors.set(point.color, (bin.colors.get(point.color) || 0) + 1);
+        });
+        return bins;
+    }
+
+    /** Corner latlngs of the hexagon around a bin center */
+    function _hexagon(map, bin, r) {
+        const zoom = map.getZoom();
+        const corners = [];
+        for (let k = 0; k < 6; k++) {
+            const angle = k * Math.PI / 3;
+            corners.push(map.unproject([bin.x + r * Math.sin(angle), bin.y - r * Math.cos(angle)], zoom));
+        }
+        return corners;
+    }
+
+    // =========================================================================
+    // Colors
+    // =========================================================================
+
+    /**
+     * Composition of a bin, most frequent color first
+     * @returns {Array<{color: string, count: number}>}
+     */
+    function _composition(bin) {
+        return Array.from(bin.colors, function (entry) {
+            return { color: entry[0], count: entry[1] };
+        }).sort(function (a, b) { return b.count - a.count; });
+    }
+
+    function _dominantColor(bin) {
+        return _composition(bin)[0].color;
+    }
+
+    // =========================================================================
+    // Popup
+    // =========================================================================
+
+    function _buildPopup(bin, nameOf) {
+        const esc = PopupBuilder.escapeHtml;
+        const rows = _composition(bin).map(function (part) {
+            const name = nameOf(part.color);
+            const percent = Math.round(100 * part.count / bin.count);
+            return '<tr>' +
+                '<td><span class="spider-popup-dot" style="background:' + esc(part.color) + '"></span></td>' +
+                '<td>' + esc(name || 'Other') + '</td>' +
+                '<td class="hexbin-popup-count">' + part.count + '</td>' +
+                '<td class="hexbin-popup-count">' + percent + '%</td>' +
+                '</tr>';
+        });
+
+        // Without a categorical color mode every color is unnamed; the total is all there is
+        const named = _composition(bin).some(function (part) { return nameOf(part.color); });
+
+        return '<div class="hexbin-popup">' +
+            '<div class="spider-popup-header">' + bin.count + (bin.count === 1 ? ' sample' : ' samples') + '</div>' +
+            (named ? '<table class="spider-popup-table">' + rows.join('') + '</table>' : '') +
+            '</div>';
+    }
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Create a hexbin layer (add it to a map with layer.addTo(map))
+     * @param {Object} options - { radius, colorMode, colors, fillOpacity, nameOf }
+     * @returns {L.Layer}
+     */
+    function create(options) {
+        return new BinLayer(options);
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        create
+    };
+
+})();
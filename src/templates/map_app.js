@@ -9,11 +9,28 @@
  *   - UI state (sidebar, dropdowns, sections)
  *   - Slider position tracking and conversion
  *   - Map rendering with server-provided colors
- *   - Debounced server requests
+ *   - Debounced server requests, with stale requests aborted and recent
+ *     responses cached
  * 
  * Dependencies (loaded before this file):
  *   - PiecewiseScale: Slider-to-value conversion with outlier compression
+ *   - DateFormat: cal BP / BCE-CE date display
+ *   - ColorUtils: Ramp interpolation for client-colored layers
  *   - PopupBuilder: HTML popup generation for map markers
+ *   - SampleStore: Cached, batched sample property fetching
+ *   - Spiderifier: Overlap grouping for co-located markers
+ *   - MarkerKeyboard: Keyboard / screen-reader navigation of markers
+ *   - UrlState: Permalink encoding of filter state and map view
+ *   - SavedViews: Named filter states in localStorage, JSON import/export
+ *   - ShapeDrawer: Rectangle / polygon / circle drawing for the spatial filter
+ *   - CompareView: Swipe comparison of a pinned filter state with the live one
+ *   - HeatmapLayer: Kernel-density display mode
+ *   - HexbinLayer: Hexagonal bin display mode with per-bin composition
+ *   - HaplotreeBrowser: Collapsible Y-haplotree picker rows
+ *   - MapLegend: On-map legend control for the active color mode
+ *   - FigureExport: PNG / SVG figure rendering of the map view
+ *   - OverlayLayers: User GeoJSON overlay layers kept between sessions
+ *   - PrivateSamples: Client-side layer of samples from a local CSV
  * 
  * Selection filter semantics:
  *   Each categorical filter (culture, Y-haplogroup, mtDNA, source) has an
@@ -54,17 +71,121 @@ function debounce(func, wait) {
     };
 }
 
+/**
+ * Minimal least-recently-used cache backed by a Map (which keeps insertion
+ * order, so the first key is always the least recently used one).
+ *
+ * @param {number} maxEntries - Entries kept before the oldest is evicted
+ * @returns {{get: Function, set: Function, clear: Function}}
+ */
+function createLruCache(maxEntries) {
+    const entries = new Map();
+    return {
+        get(key) {
+            if (!entries.has(key)) return undefined;
+            const value = entries.get(key);
+            // Re-insert to mark as most recently used
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, value);
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        clear() {
+            entries.clear();
+        }
+    };
+}
+
+/**
+ * Offer a Blob to the user as a file download
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// =============================================================================
+// Query Requests
+// =============================================================================
+
+// Number of recent /api/query responses kept, keyed on the serialized payload
+const QUERY_CACHE_SIZE = 30;
+
+const queryCache = createLruCache(QUERY_CACHE_SIZE);
+
+// AbortController of the /api/query request in flight, if any
+let queryAbort = null;
+
+// Incremented per pinned-side request; older responses are dropped
+let compareRequest = 0;
+
+// Incremented per /api/haplotree request; older responses are dropped
+let haplotreeRequest = 0;
+
+/**
+ * POST a serialized payload to /api/query, answering from queryCache when the
+ * same payload was sent recently. Error responses are returned but not cached.
+ *
+ * @param {string} key - JSON.stringify(buildQueryPayload())
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object>} The /api/query response
+ */
+async function fetchQuery(key, signal) {
+    const cached = queryCache.get(key);
+    if (cached) {
+        console.log('Query served from cache:', key);
+        return cached;
+    }
+    
+    console.log('Sending query:', key);
+    const response = await fetch('/api/query', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: key,
+        signal: signal
+    });
+    const data = await response.json();
+    if (!data.error) queryCache.set(key, data);
+    return data;
+}
+
 // =============================================================================
 // Map Layer Management (Leaflet)
 // =============================================================================
 
 let map = null;
 let dataLayer = null;
+let markersById = new Map();   // sample id → L.circleMarker in dataLayer
+let legendNames = new Map();   // marker color → legend entry name (active colorBy)
+let spatialLayer = null;
+let heatLayer = null;          // density surface while displayMode is 'heatmap'
+let hexLayer = null;           // hexagonal bins while displayMode is 'hexbin'
+let legendControl = null;      // on-map legend of the active colorBy
+let activeBasemap = null;      // tile preset on the map: { id, name, url, attribution }
+let privateLayer = null;       // samples from a local CSV (PrivateSamples), never uploaded
+
+// localStorage key of the basemap chosen in this browser
+const BASEMAP_STORAGE_KEY = 'archeogeneticmap.basemap';
 
 /**
  * Initialize the Leaflet map
+ *
+ * @param {Object} config - Response from /api/config
+ * @param {Object} [view] - Optional { lat, lng, zoom } overriding the config view
  */
-function initMap(config) {
+function initMap(config, view = null) {
     
     if (mapInitialized) {
         console.log('Map already initialized, skipping...');
@@ -74,11 +195,11 @@ function initMap(config) {
     console.log('Initializing map...', config);
     
     try {
-        map = L.map('map', { preferCanvas: true, worldCopyJump: true }).setView(config.map.center, config.map.zoom);
+        const center = view ? [view.lat, view.lng] : config.map.center;
+        const zoom   = view ? view.zoom : config.map.zoom;
+        map = L.map('map', { preferCanvas: true, worldCopyJump: true }).setView(center, zoom);
         
-        L.tileLayer(config.map.tileUrl, {
-            attribution: config.map.tileAttribution
-        }).addTo(map);
+        addBasemaps(config);
         
         mapInitialized = true;
         console.log('Map initialized successfully');
@@ -94,79 +215,311 @@ function initMap(config) {
 }
 
 /**
- * Fetch full properties for a single sample by id.
- * Returns a Promise that resolves to popup HTML.
+ * Add the basemaps of config.map.tilePresets with a layer control to switch
+ * between them in place, so filter state and map view are kept. The choice
+ * is remembered in localStorage.
+ */
+function addBasemaps(config) {
+    const presets = config.map.tilePresets || [{
+        id: 'default', name: 'Default',
+        url: config.map.tileUrl, attribution: config.map.tileAttribution
+    }];
+    const layers = {};
+    presets.forEach(function (preset) {
+        layers[preset.name] = L.tileLayer(preset.url, { attribution: preset.attribution });
+    });
+    
+    activeBasemap = initialBasemap(presets, config.map.defaultTilePreset);
+    layers[activeBasemap.name].addTo(map);
+    
+    if (presets.length > 1) {
+        L.control.layers(layers, null, { position: 'topright' }).addTo(map);
+    }
+    map.on('baselayerchange', function (e) {
+        activeBasemap = presets.find(function (p) { return p.name === e.name; }) || activeBasemap;
+        storeBasemap(activeBasemap.id);
+    });
+}
+
+/**
+ * Basemap to show first: a ?basemap= id (where the former /topo, /dark and
+ * /humanitarian pages redirect), else the one last chosen in this browser,
+ * else the server default. The query parameter is removed from the address
+ * once read, so later reloads follow the remembered choice.
+ */
+function initialBasemap(presets, defaultId) {
+    const find = function (id) { return presets.find(function (p) { return p.id === id; }); };
+    
+    const params = new URLSearchParams(window.location.search);
+    const requested = find(params.get('basemap'));
+    if (params.has('basemap')) {
+        params.delete('basemap');
+        const search = params.toString();
+        history.replaceState(null, '',
+            window.location.pathname + (search ? '?' + search : '') + window.location.hash);
+    }
+    if (requested) {
+        storeBasemap(requested.id);
+        return requested;
+    }
+    
+    let stored = null;
+    try {
+        stored = localStorage.getItem(BASEMAP_STORAGE_KEY);
+    } catch (e) {
+        // Storage unavailable (private mode): use the default
+    }
+    return find(stored) || find(defaultId) || presets[0];
+}
+
+function storeBasemap(id) {
+    try {
+        localStorage.setItem(BASEMAP_STORAGE_KEY, id);
+    } catch (e) {
+        // Storage unavailable (private mode): the choice lasts for this page
+    }
+}
+
+// Longitudes west of this are drawn shifted east by 360°, so the Americas
+// sit east of Asia across the Pacific (markers and overlays alike)
+const WRAP_WEST_OF = -27;
+
+/**
+ * Marker position for a slim feature (see WRAP_WEST_OF)
+ */
+function displayLatLng(f) {
+    return [f.lat, f.lon < WRAP_WEST_OF ? f.lon + 360 : f.lon];
+}
+
+/**
+ * Get full properties for a single sample by id (cached and batched by
+ * SampleStore). Returns a Promise that resolves to popup HTML.
  */
 function fetchPopupContent(id) {
-    return fetch('/api/sample/' + encodeURIComponent(id))
-        .then(function (r) { return r.json(); })
-        .then(function (props) {
-            if (props.error) return PopupBuilder.buildError(props.message);
-            return PopupBuilder.build(props);
-        });
+    return SampleStore.get(id).then(function (props) {
+        if (!props) return PopupBuilder.buildError('Sample not found: ' + id);
+        return PopupBuilder.build(props);
+    });
+}
+
+// Minimum zoom the map flies to when revealing a searched-for sample
+const REVEAL_ZOOM = 8;
+
+// moveend handler of the reveal in flight, if any
+let pendingReveal = null;
+
+/**
+ * Fly to a marker and open its popup. Markers in an overlap group have their
+ * spider expanded and the matching spoke (or summary row) highlighted first.
+ */
+function revealMarker(marker) {
+    const latlng = marker.getLatLng();
+    const zoom   = Math.max(map.getZoom(), REVEAL_ZOOM);
+
+    const open = function () {
+        if (Spiderifier.groupSize(marker) > 1) {
+            Spiderifier.expand(marker);
+            Spiderifier.highlight(marker);
+        }
+        Spiderifier.openPopupFor(marker);
+    };
+
+    if (pendingReveal) {
+        map.off('moveend', pendingReveal);
+        pendingReveal = null;
+    }
+    if (map.getZoom() === zoom && map.getCenter().equals(latlng)) {
+        open();
+        return;
+    }
+    // The Spiderifier regroups on the same moveend, before this runs. A
+    // flight cut short by a drag or zoom ends elsewhere: no popup then.
+    pendingReveal = function () {
+        map.off('moveend', pendingReveal);
+        pendingReveal = null;
+        const arrived = map.getZoom() === zoom &&
+            map.latLngToContainerPoint(latlng).distanceTo(map.latLngToContainerPoint(map.getCenter())) < 2;
+        if (arrived) open();
+    };
+    map.on('moveend', pendingReveal);
+    map.flyTo(latlng, zoom);
+}
+
+/**
+ * Accessible label for a slim feature: its sample id plus the legend entry
+ * its color stands for under the active colorBy (when categorical).
+ */
+function describeSample(feature) {
+    const name = legendNames.get(feature.color);
+    return 'Sample ' + feature.id + (name ? ', ' + name : '');
+}
+
+/**
+ * Remember which legend entry each marker color stands for
+ * @param {Array<{name: string, color: string}>} items
+ */
+function updateLegendNames(items) {
+    legendNames = new Map(items.map(function (item) { return [item.color, item.name]; }));
+}
+
+/**
+ * Show a legend on the map, creating the control on first use
+ * @param {Object|null} spec - MapLegend spec, or null to hide the legend
+ */
+function updateMapLegend(spec) {
+    if (!map) return;
+    if (!legendControl) {
+        if (!spec) return;
+        legendControl = MapLegend.create({ position: 'bottomright' }).addTo(map);
+    }
+    legendControl.update(spec);
 }
 
 /**
  * Update the map layer with slim features from server.
  * Each feature is { id, lon, lat, color }.
+ *
+ * Markers are keyed by sample id and kept between queries: only features that
+ * appeared or disappeared are added or removed, and markers whose color changed
+ * are restyled in place. The Spiderifier regroups only when the set of markers
+ * changed; a pure recolor just repaints open spiders.
  */
 function updateMapLayer(features, defaultColor, pointRadius) {
-    // Detach spiderifier before removing old layer (cleans up events and spokes)
-    Spiderifier.detach();
-
-    // Remove existing layer
-    if (dataLayer) {
-        map.removeLayer(dataLayer);
+    const firstUpdate = !dataLayer;
+    if (firstUpdate) {
+        dataLayer = L.featureGroup().addTo(map);
     }
 
-    // Build a GeoJSON FeatureCollection from slim features so L.geoJSON can
-    // place markers. We attach the slim feature as layer.feature so the
-    // spiderifier can read id and color without needing full properties.
-    const geojson = {
-        type: 'FeatureCollection',
-        features: features.map(function (f) {
-            return {
-                type: 'Feature',
-                //geometry: { type: 'Point', coordinates: [f.lon, f.lat] },
-                geometry: { type: 'Point', coordinates: [f.lon < -27 ? f.lon +360 : f.lon, f.lat] },
-                // Slim properties: only what the spiderifier and renderer need
-                properties: { id: f.id, color: f.color || defaultColor }
-            };
-        })
-    };
+    const seen = new Set();
+    let membershipChanged = false;
+    let recolored = false;
 
-    dataLayer = L.geoJSON(geojson, {
-        pointToLayer: function (feature, latlng) {
-            const color = feature.properties.color || defaultColor;
-            return L.circleMarker(latlng, {
-                radius     : pointRadius,
-                fillColor  : color,
-                color      : color,
-                weight     : 1,
-                opacity    : 1,
-                fillOpacity: 0.7
-            });
-        },
-        onEachFeature: function (feature, layer) {
-            // Slim feature stored on layer for spiderifier access.
-            // Shape matches what spiderifier expects: { id, color }
-            layer.feature = feature.properties;
+    features.forEach(function (f) {
+        const color = f.color || defaultColor;
+        seen.add(f.id);
+
+        const marker = markersById.get(f.id);
+        if (marker) {
+            if (marker.feature.color !== color) {
+                marker.feature.color = color;
+                marker.setStyle({ fillColor: color, color: color });
+                recolored = true;
+            }
+            return;
+        }
+
+        const created = L.circleMarker(displayLatLng(f), {
+            radius     : pointRadius,
+            fillColor  : color,
+            color      : color,
+            weight     : 1,
+            opacity    : 1,
+            fillOpacity: 0.7
+        });
+        // Slim feature stored on layer for spiderifier access.
+        // Shape matches what spiderifier expects: { id, color }
+        created.feature = { id: f.id, color: color };
+        markersById.set(f.id, created);
+        dataLayer.addLayer(created);
+        membershipChanged = true;
+    });
+
+    markersById.forEach(function (marker, id) {
+        if (!seen.has(id)) {
+            dataLayer.removeLayer(marker);
+            markersById.delete(id);
+            membershipChanged = true;
         }
-    }).addTo(map);
+    });
 
-    // Attach spiderifier, providing the async popup fetch function
+    if (firstUpdate) {
+        attachSpiderifier();
+    } else if (membershipChanged) {
+        Spiderifier.refresh();
+    } else if (recolored) {
+        Spiderifier.restyle();
+    }
+}
+
+/**
+ * Attach the Spiderifier to dataLayer, providing the async popup fetch function
+ */
+function attachSpiderifier() {
     Spiderifier.attach(map, dataLayer, {
         pixelRadius      : 8,
         clusterThreshold : 15,
         spokeLength      : { min: 44, max: 72 },
-        fetchPopupContent: fetchPopupContent
+        fetchPopupContent: fetchPopupContent,
+        prefetch         : SampleStore.prefetch,
+        describe         : describeSample,
+        originStyle      : 'donut'
+    });
+}
+
+/**
+ * Show or hide the circle markers. Hidden markers are still kept up to date
+ * by updateMapLayer; the Spiderifier is detached while they are off the map.
+ */
+function setMarkersVisible(visible) {
+    if (!dataLayer || visible === map.hasLayer(dataLayer)) return;
+    if (visible) {
+        dataLayer.addTo(map);
+        attachSpiderifier();
+    } else {
+        Spiderifier.detach();
+        map.closePopup();
+        map.removeLayer(dataLayer);
+    }
+}
+
+/**
+ * Draw slim features through an aggregate display layer (HeatmapLayer or
+ * HexbinLayer), creating it on first use. Passing null options removes it.
+ *
+ * @param {L.Layer|null} layer - The module's current layer, if any
+ * @param {Object} factory - HeatmapLayer or HexbinLayer
+ * @param {Array} features - Slim features { id, lon, lat, color }
+ * @param {Object|null} options - Layer options plus defaultColor
+ * @returns {L.Layer|null} The layer now on the map
+ */
+function updateAggregateLayer(layer, factory, features, options) {
+    if (!options) {
+        if (layer) map.removeLayer(layer);
+        return null;
+    }
+    
+    const points = features.map(function (f) {
+        return { latlng: displayLatLng(f), color: f.color || options.defaultColor };
     });
+    if (layer) {
+        L.setOptions(layer, options);
+    } else {
+        layer = factory.create(options).addTo(map);
+    }
+    return layer.setData(points);
+}
+
+/**
+ * Show the active spatial filter shape on the map (or remove it when null).
+ */
+function updateSpatialLayer(shape) {
+    if (spatialLayer) {
+        map.removeLayer(spatialLayer);
+        spatialLayer = null;
+    }
+    if (shape) {
+        spatialLayer = ShapeDrawer.toLayer(shape);
+        if (spatialLayer) spatialLayer.addTo(map);
+    }
 }
 
 // =============================================================================
 // Alpine.js Filter Controller
 // =============================================================================
 
+// Number of histogram bars drawn behind the date slider
+const SLIDER_HISTOGRAM_BINS = 100;
+
 /**
  * Alpine.js component for filter management
  */
@@ -181,13 +534,32 @@ function filterController() {
         mtdnaDropdownOpen: false,
         sourceDropdownOpen: false,
         loading: false,
+        permalinkCopied: false,
+        exportFormat: 'csv',
+        exporting: false,
+        exportMessage: '',   // why the last sample export failed
+
+        // Figure export: format 'png' | 'svg', PNG resolution, and a note
+        // about the last export (lowered DPI, missing basemap tiles)
+        figure: {
+            format: 'png',
+            dpi: 300,
+            exporting: false,
+            message: ''
+        },
         sections: {
             dateRange: false,
             culture: false,
             yHaplogroup: false,
             mtdna: false,
             yHaplotree: false,
-            source: false
+            source: false,
+            spatial: false,
+            savedViews: false,
+            display: false,
+            overlays: false,
+            privateSamples: false,
+            compare: false
         },
         
         // ---------------------------------------------------------------------
@@ -209,6 +581,7 @@ function filterController() {
             filteredMtdna: [],
             availableDateRange: { min: 0, max: 50000 },
             dateStatistics: { min: 0, max: 50000, p2: 0, p98: 50000 },
+            ageColorRange: null,
             cultureLegend: [],
             yHaplogroupLegend: [],
             mtdnaLegend: [],
@@ -221,6 +594,7 @@ function filterController() {
         filters: {
             dateMin: null,
             dateMax: null,
+            dateMode: 'midpoint',   // 'overlaps' | 'contains' | 'midpoint'
             includeUndated: true,
             includeNoCulture: true,
             includeNoYHaplogroup: true,
@@ -244,11 +618,84 @@ function filterController() {
         mtdnaSearchText: '',
         selectedSources: [],
 
+        // Saved views (persisted by SavedViews; this is the displayed copy)
+        savedViews: [],
+        newViewName: '',
+        savedViewsMessage: '',
+
+        // Sample ID search (autocomplete + locate)
+        sampleSearch: {
+            text: '',
+            matches: [],
+            open: false,
+            highlighted: -1,
+            message: ''
+        },
+
+        // Display mode: 'markers' (circle markers), 'heatmap' (density
+        // surface) or 'hexbin' (hexagonal bins, markers again when zoomed in
+        // past hexbin.maxZoom). shownDisplayMode is what is on the map now.
+        displayMode: 'markers',
+        shownDisplayMode: 'markers',
+        heatmap: {
+            bandwidthKm: 50,
+            colorRamp: 'plasma',
+            byCategory: false
+        },
+        hexbin: {
+            radius: 18,
+            colorMode: 'count',
+            colorRamp: 'viridis',
+            maxZoom: 6
+        },
+
+        // User GeoJSON overlays (kept by OverlayLayers; this is the
+        // displayed list of summaries)
+        overlays: [],
+        overlayUrl: '',
+        overlayMessage: '',
+        overlayDragging: false,
+
+        // Private CSV layer: the samples themselves are kept by privateLayer,
+        // filtered and colored here in the browser
+        privateSamples: {
+            fileName: '',
+            count: 0,
+            shown: 0,
+            skipped: 0,
+            visible: true,
+            outlineColor: '#e6007e',
+            message: ''
+        },
+
+        // Compare mode: the pinned left side (A) of the swipe comparison.
+        // The sidebar keeps editing the live right side (B).
+        compare: {
+            active: false,
+            payload: null,   // pinned buildQueryPayload() snapshot
+            meta: null,      // /api/query meta for the pinned payload
+            loading: false
+        },
+
+        // Spatial filter: shape object in the /api/query spatialFilter format,
+        // or null. drawingShape holds the shape type while the user draws.
+        spatialFilter: null,
+        drawingShape: null,
+
         // Y-haplotree filter state (active when terms is non-empty)
         yHaplotreeTerms: [],
         yHaplotreeSearchInput: '',
         yHaplotreeColorRamp: 'viridis',
 
+        // Haplotree browser: tree from /api/haplotree (loaded while the
+        // section is open), expanded row keys and the node name search
+        haplotree: {
+            root: null,
+            expanded: {},
+            search: '',
+            loading: false
+        },
+
         // Color settings
         colorBy: null,  // null, 'age', 'culture', 'y_haplogroup', 'mtdna', 'y_haplotree'
         colorRamp: 'viridis',
@@ -256,9 +703,36 @@ function filterController() {
         yHaplogroupColorRamp: 'viridis',
         mtdnaColorRamp: 'viridis',
         
-        // Slider positions (0-1000 scale, UI concern only)
+        // Slider positions (config.slider min-max scale, UI concern only)
         sliderPositions: { min: 0, max: 1000 },
         
+        // How a sample's date range is matched against the window
+        availableDateModes: [
+            { value: 'overlaps', label: 'Date range overlaps window' },
+            { value: 'contains', label: 'Date range fully inside window' },
+            { value: 'midpoint', label: 'Midpoint inside window' }
+        ],
+        
+        // Date display unit: 'calbp' or 'bce'. Filters stay in cal BP.
+        dateUnit: DateFormat.getUnit(),
+        availableDateUnits: DateFormat.availableUnits(),
+        
+        // Age histogram behind the slider, oldest bar first:
+        // [{ count, height }] with height as a fraction of the tallest bar
+        sliderHistogram: [],
+        
+        // Time playback: a fixed-width date window stepped from oldest to
+        // youngest. position is the window's upper (older) bound in cal BP,
+        // null when playback has not started.
+        playback: {
+            playing: false,
+            windowYears: 500,
+            stepYears: 100,
+            fps: 2,
+            position: null
+        },
+        playbackTimer: null,
+        
         // Piecewise scale instance
         dateScale: null,
         
@@ -337,21 +811,39 @@ function filterController() {
                 this.config = await configResponse.json();
                 console.log('Config loaded:', this.config);
                 
-                initMap(this.config);
+                if (this.config.limits) {
+                    SampleStore.configure({ batchSize: this.config.limits.sampleBatchSize });
+                }
+                
+                this.savedViews = SavedViews.list();
+                
+                // A shared permalink overrides the default view and filters
+                const shared = UrlState.read();
+                
+                initMap(this.config, shared && shared.view);
+                MarkerKeyboard.attach(map, {
+                    getLayer: function () {
+                        return (dataLayer && map.hasLayer(dataLayer)) ? dataLayer : null;
+                    },
+                    describe: describeSample
+                });
+                OverlayLayers.init(map, {
+                    westOf: WRAP_WEST_OF,
+                    onChange: (overlays) => { this.overlays = overlays; },
+                    onError: (message) => { this.overlayMessage = message; }
+                });
                 
+                // The slider runs oldest (left) to youngest (right)
                 const stats = this.config.dateStatistics;
                 this.dateScale = PiecewiseScale.create(
                     stats.min,
                     stats.max,
-                    stats.p2,
-                    stats.p98
+                    Object.assign({}, this.config.slider, { invert: true })
                 );
                 
                 this.filters.dateMin = stats.p2;
                 this.filters.dateMax = stats.p98;
-                
-                this.sliderPositions.min = 1000 - this.dateScale.toSlider(this.filters.dateMax);
-                this.sliderPositions.max = 1000 - this.dateScale.toSlider(this.filters.dateMin);
+                this.syncSliderToDates();
                 
                 // All selection filters start inactive with empty arrays.
                 this.cultureFilterActive = false;
@@ -364,6 +856,7 @@ function filterController() {
                 this.selectedSources = [];
 
                 this.filters.includeUndated = this.config.defaults.includeUndated;
+                this.filters.dateMode = this.config.defaults.dateMode || 'midpoint';
                 this.filters.includeNoCulture = this.config.defaults.includeNoCulture;
                 this.filters.includeNoYHaplogroup = this.config.defaults.includeNoYHaplogroup;
                 this.filters.includeNoMtdna = this.config.defaults.includeNoMtdna;
@@ -373,8 +866,25 @@ function filterController() {
                 this.mtdnaColorRamp = this.config.defaults.mtdnaColorRamp;
                 this.yHaplotreeColorRamp = this.config.defaults.yHaplotreeColorRamp || 'viridis';
                 
+                if (shared && shared.state) {
+                    this.applyQueryState(shared.state);
+                }
+                
                 await this.applyFilters();
                 
+                // Keep the permalink in step with panning and zooming
+                map.on('moveend', () => this.updatePermalink());
+                
+                // Hexbins give way to markers past hexbin.maxZoom
+                map.on('zoomend', () => {
+                    if (this.effectiveDisplayMode() !== this.shownDisplayMode) {
+                        this.updateDisplayLayers();
+                    }
+                });
+                
+                // A permalink pasted into the address bar of an open tab
+                window.addEventListener('hashchange', () => this.onHashChange());
+                
                 console.log('Alpine init() complete');
                 
             } catch (e) {
@@ -393,6 +903,7 @@ function filterController() {
             return {
                 dateMin: this.filters.dateMin,
                 dateMax: this.filters.dateMax,
+                dateMode: this.filters.dateMode,
                 includeUndated: this.filters.includeUndated,
                 cultureFilterActive: this.cultureFilterActive,
                 selectedCultures: this.selectedCultures,
@@ -408,6 +919,7 @@ function filterController() {
                 yHaplotreeTerms: this.yHaplotreeTerms,
                 sourceFilterActive: this.sourceFilterActive,
                 selectedSources: this.selectedSources,
+                spatialFilter: this.spatialFilter,
                 colorBy: this.colorBy,
                 colorRamp: this.colorRamp,
                 cultureColorRamp: this.cultureColorRamp,
@@ -450,17 +962,28 @@ function filterController() {
             
             this.loading = true;
             
+            // Only the newest query may update the map: whatever is still in
+            // flight would otherwise be able to arrive last and overwrite it.
+            if (queryAbort) {
+                queryAbort.abort();
+                queryAbort = null;
+            }
+            
             try {
-                const payload = this.buildQueryPayload();
-                console.log('Sending query:', payload);
+                const key = JSON.stringify(this.buildQueryPayload());
                 
-                const response = await fetch('/api/query', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload)
-                });
-
-                const data = await response.json();
+                const controller = new AbortController();
+                queryAbort = controller;
+                let data;
+                try {
+                    data = await fetchQuery(key, controller.signal);
+                } catch (e) {
+                    // Superseded by a newer query; that one updates the map
+                    if (e.name === 'AbortError') return;
+                    throw e;
+                } finally {
+                    if (queryAbort === controller) queryAbort = null;
+                }
                 
                 if (data.error) {
                     console.error('Query error:', data.message);
@@ -503,18 +1026,28 @@ function filterController() {
                     this.availableSources
                 );
                 
+                this.updateSliderHistogram();
+                updateLegendNames(this.activeLegendItems());
                 updateMapLayer(
                     this.features,
                     this.config.defaults.pointColor,
                     this.config.defaults.pointRadius
                 );
+                this.updateDisplayLayers();
+                this.updatePrivateLayer();
+                
+                this.updatePermalink();
+                this.updateCompareLabels();
+                // Playback frames leave the tree alone; it is reloaded on pause
+                if (this.sections.yHaplotree && !this.playback.playing) this.loadHaplotree();
                 
                 console.log('Query complete:', this.meta.filteredCount, 'features');
                 
             } catch (e) {
                 console.error('Error in applyFilters:', e);
             } finally {
-                this.loading = false;
+                // A newer request still in flight keeps the loading state
+                if (!queryAbort) this.loading = false;
             }
         },
         
@@ -531,12 +1064,13 @@ function filterController() {
         resetFilters() {
             if (!this.config || !this.dateScale) return;
             
+            this.stopPlayback();
+            
             const stats = this.config.dateStatistics;
             
             this.filters.dateMin = stats.p2;
             this.filters.dateMax = stats.p98;
-            this.sliderPositions.min = 1000 - this.dateScale.toSlider(this.filters.dateMax);
-            this.sliderPositions.max = 1000 - this.dateScale.toSlider(this.filters.dateMin);
+            this.syncSliderToDates();
             
             // Reset all selection filters to inactive with empty arrays
             this.cultureFilterActive = false;
@@ -551,8 +1085,12 @@ function filterController() {
             this.selectedSources = [];
             this.yHaplotreeTerms = [];
             this.yHaplotreeSearchInput = '';
+            this.cancelDrawing();
+            this.spatialFilter = null;
+            updateSpatialLayer(null);
             
             this.filters.includeUndated = this.config.defaults.includeUndated;
+            this.filters.dateMode = this.config.defaults.dateMode || 'midpoint';
             this.filters.includeNoCulture = this.config.defaults.includeNoCulture;
             this.filters.includeNoYHaplogroup = this.config.defaults.includeNoYHaplogroup;
             this.filters.includeNoMtdna = this.config.defaults.includeNoMtdna;
@@ -568,63 +1106,839 @@ function filterController() {
         },
         
         // ---------------------------------------------------------------------
-        // Date Range Methods
+        // State Restore & Permalinks
         // ---------------------------------------------------------------------
         
-        onSliderInput(which) {
-            if (!this.dateScale) return;
-            if (which === 'min') {
-                this.filters.dateMax = Math.round(this.dateScale.toValue(1000-this.sliderPositions.min));
-            } else {
-                this.filters.dateMin = Math.round(this.dateScale.toValue(1000-this.sliderPositions.max));
+        /**
+         * Restore filter state from an object shaped like buildQueryPayload().
+         * Keys that are missing or of the wrong type keep their current value,
+         * so older or hand-edited permalinks degrade gracefully. Does not
+         * query the server; callers follow up with applyFilters().
+         */
+        applyQueryState(state) {
+            if (!state) return;
+            
+            const pick = (key, type, current) =>
+                typeof state[key] === type ? state[key] : current;
+            const pickList = (key, current) =>
+                Array.isArray(state[key]) ? state[key].map(String) : current;
+            
+            if (typeof state.dateMin === 'number' && this.dateScale) {
+                this.filters.dateMin = this.dateScale.clamp(state.dateMin);
             }
-            this.applyFiltersDebounced();
+            if (typeof state.dateMax === 'number' && this.dateScale) {
+                this.filters.dateMax = this.dateScale.clamp(state.dateMax);
+            }
+            this.syncSliderToDates();
+            
+            if (this.availableDateModes.some(m => m.value === state.dateMode)) {
+                this.filters.dateMode = state.dateMode;
+            }
+            this.filters.includeUndated = pick('includeUndated', 'boolean', this.filters.includeUndated);
+            this.filters.includeNoCulture = pick('includeNoCulture', 'boolean', this.filters.includeNoCulture);
+            this.filters.includeNoYHaplogroup = pick('includeNoYHaplogroup', 'boolean', this.filters.includeNoYHaplogroup);
+            this.filters.includeNoMtdna = pick('includeNoMtdna', 'boolean', this.filters.includeNoMtdna);
+            
+            this.cultureFilterActive = pick('cultureFilterActive', 'boolean', false);
+            this.selectedCultures = this.cultureFilterActive ? pickList('selectedCultures', []) : [];
+            this.yHaplogroupFilterActive = pick('yHaplogroupFilterActive', 'boolean', false);
+            this.selectedYHaplogroups = this.yHaplogroupFilterActive ? pickList('selectedYHaplogroups', []) : [];
+            this.yHaplogroupSearchText = pick('yHaplogroupSearchText', 'string', '');
+            this.mtdnaFilterActive = pick('mtdnaFilterActive', 'boolean', false);
+            this.selectedMtdna = this.mtdnaFilterActive ? pickList('selectedMtdna', []) : [];
+            this.mtdnaSearchText = pick('mtdnaSearchText', 'string', '');
+            this.sourceFilterActive = pick('sourceFilterActive', 'boolean', false);
+            this.selectedSources = this.sourceFilterActive ? pickList('selectedSources', []) : [];
+            this.yHaplotreeTerms = pickList('yHaplotreeTerms', []);
+            this.yHaplotreeSearchInput = '';
+            
+            const shapeTypes = ['rectangle', 'polygon', 'circle'];
+            const shape = state.spatialFilter;
+            this.spatialFilter = (shape && shapeTypes.includes(shape.type)) ? shape : null;
+            updateSpatialLayer(this.spatialFilter);
+            
+            // Y-haplogroup and Y-haplotree are mutually exclusive; the tree wins,
+            // matching the server's precedence in apply_filters.
+            if (this.yHaplotreeTerms.length > 0) {
+                this.yHaplogroupFilterActive = false;
+                this.selectedYHaplogroups = [];
+            }
+            
+            const colorModes = ['age', 'culture', 'y_haplogroup', 'mtdna', 'y_haplotree'];
+            this.colorBy = colorModes.includes(state.colorBy) ? state.colorBy : null;
+            
+            const isRamp = (name) => typeof name === 'string' && this.config.colorRamps[name];
+            if (isRamp(state.colorRamp)) this.colorRamp = state.colorRamp;
+            if (isRamp(state.cultureColorRamp)) this.cultureColorRamp = state.cultureColorRamp;
+            if (isRamp(state.yHaplogroupColorRamp)) this.yHaplogroupColorRamp = state.yHaplogroupColorRamp;
+            if (isRamp(state.mtdnaColorRamp)) this.mtdnaColorRamp = state.mtdnaColorRamp;
+            if (isRamp(state.yHaplotreeColorRamp)) this.yHaplotreeColorRamp = state.yHaplotreeColorRamp;
         },
         
-        onDateChange() {
-            if (!this.dateScale) return;
-            this.filters.dateMin = this.dateScale.clamp(this.filters.dateMin);
-            this.filters.dateMax = this.dateScale.clamp(this.filters.dateMax);
-            this.sliderPositions.min = 1000 - this.dateScale.toSlider(this.filters.dateMax);
-            this.sliderPositions.max = 1000 - this.dateScale.toSlider(this.filters.dateMin);
-            this.applyFilters();
+        /**
+         * Current Leaflet view as { lat, lng, zoom }, or null before the map exists
+         */
+        currentView() {
+            if (!map) return null;
+            const center = map.getCenter();
+            return { lat: center.lat, lng: center.lng, zoom: map.getZoom() };
         },
         
-        sliderRangeStyle() {
-            if (!this.dateScale) {
-                return { left: '0%', width: '100%' };
+        /**
+         * Write the current filters and view into the URL hash
+         */
+        updatePermalink() {
+            if (!this.config) return;
+            UrlState.write(this.buildQueryPayload(), this.currentView());
+        },
+        
+        /**
+         * Restore state when the hash is edited by hand or a permalink is
+         * pasted into a tab that already has the map open.
+         */
+        onHashChange() {
+            const shared = UrlState.read();
+            if (!shared) return;
+            this.stopPlayback();
+            if (shared.view && map) {
+                map.setView([shared.view.lat, shared.view.lng], shared.view.zoom);
+            }
+            if (shared.state) {
+                this.applyQueryState(shared.state);
+                this.applyFilters();
+            }
+        },
+        
+        /**
+         * Copy the permalink for the current view to the clipboard
+         */
+        async copyPermalink() {
+            this.updatePermalink();
+            try {
+                await navigator.clipboard.writeText(window.location.href);
+                this.permalinkCopied = true;
+                setTimeout(() => { this.permalinkCopied = false; }, 2000);
+            } catch (e) {
+                // Clipboard API unavailable (e.g. plain http on a LAN address);
+                // the address bar already holds the permalink.
+                console.warn('Could not copy permalink:', e);
+                window.prompt('Copy this link:', window.location.href);
             }
-            return this.dateScale.rangeStyle(this.sliderPositions.min, this.sliderPositions.max);
         },
         
         // ---------------------------------------------------------------------
-        // Color Methods
+        // Saved Views Methods
         // ---------------------------------------------------------------------
         
-        onColorByAgeChange() {
-            this.colorBy = this.colorBy === 'age' ? null : 'age';
+        saveCurrentView() {
+            const name = this.newViewName.trim();
+            if (!name || !this.config) return;
+            try {
+                SavedViews.save(name, this.buildQueryPayload(), this.currentView());
+                this.savedViews = SavedViews.list();
+                this.newViewName = '';
+                this.savedViewsMessage = 'Saved "' + name + '".';
+            } catch (e) {
+                // localStorage full or disabled (e.g. private browsing)
+                console.error('Could not save view:', e);
+                this.savedViewsMessage = 'Could not save: browser storage is unavailable.';
+            }
+        },
+        
+        /**
+         * Restore a saved view: same path as a pasted permalink
+         */
+        restoreView(saved) {
+            this.stopPlayback();
+            this.savedViewsMessage = '';
+            if (saved.view && map) {
+                map.setView([saved.view.lat, saved.view.lng], saved.view.zoom);
+            }
+            this.applyQueryState(saved.state);
             this.applyFilters();
         },
         
-        onColorRampChange() {
-            if (this.colorBy === 'age') this.applyFilters();
+        deleteView(name) {
+            SavedViews.remove(name);
+            this.savedViews = SavedViews.list();
+            this.savedViewsMessage = '';
         },
         
-        onColorByCultureChange() {
-            this.colorBy = this.colorBy === 'culture' ? null : 'culture';
-            this.applyFilters();
+        exportViews() {
+            const blob = new Blob([SavedViews.toJson()], { type: 'application/json' });
+            downloadBlob(blob, 'archeogenetic_views.json');
         },
         
-        onCultureColorRampChange() {
-            if (this.colorBy === 'culture') this.applyFilters();
+        /**
+         * Import views from the file chosen in the (hidden) file input
+         */
+        async importViews(event) {
+            const file = event.target.files[0];
+            event.target.value = '';   // allow picking the same file again
+            if (!file) return;
+            try {
+                const count = SavedViews.fromJson(await file.text());
+                this.savedViews = SavedViews.list();
+                this.savedViewsMessage = 'Imported ' + count + (count === 1 ? ' view.' : ' views.');
+            } catch (e) {
+                this.savedViewsMessage = 'Import failed: ' + e.message;
+            }
         },
         
         // ---------------------------------------------------------------------
-        // Culture Filter Methods
+        // Display Mode Methods
         // ---------------------------------------------------------------------
-
-        /**
-         * Toggle the culture filter on/off.
+        
+        setDisplayMode(mode) {
+            this.displayMode = mode;
+            this.updateDisplayLayers();
+        },
+        
+        /**
+         * Display mode in effect at the current zoom
+         */
+        effectiveDisplayMode() {
+            if (this.displayMode === 'hexbin' && map && map.getZoom() > this.hexbin.maxZoom) {
+                return 'markers';
+            }
+            return this.displayMode;
+        },
+        
+        /**
+         * Show the layers of the current display mode for this.features
+         */
+        updateDisplayLayers() {
+            if (!map || !this.config) return;
+            const mode = this.effectiveDisplayMode();
+            this.shownDisplayMode = mode;
+            setMarkersVisible(mode === 'markers');
+            heatLayer = updateAggregateLayer(heatLayer, HeatmapLayer, this.features,
+                mode === 'heatmap' ? this.heatmapOptions() : null);
+            hexLayer = updateAggregateLayer(hexLayer, HexbinLayer, this.features,
+                mode === 'hexbin' ? this.hexbinOptions() : null);
+            updateMapLegend(this.mapLegendSpec());
+        },
+        
+        heatmapOptions() {
+            return {
+                bandwidthKm: Number(this.heatmap.bandwidthKm),
+                colors: this.rampColors(this.heatmap.colorRamp),
+                byCategory: this.heatmap.byCategory && this.legendCategoriesAvailable(),
+                defaultColor: this.config.defaults.pointColor
+            };
+        },
+        
+        hexbinOptions() {
+            const dominant = this.hexbin.colorMode === 'dominant' && this.legendCategoriesAvailable();
+            return {
+                radius: Number(this.hexbin.radius),
+                colorMode: dominant ? 'dominant' : 'count',
+                colors: this.rampColors(this.hexbin.colorRamp),
+                nameOf: function (color) { return legendNames.get(color) || null; },
+                defaultColor: this.config.defaults.pointColor
+            };
+        },
+        
+        /**
+         * Colors of a configured ramp, falling back to the default ramp
+         */
+        rampColors(name) {
+            const ramps = this.config.colorRamps;
+            return (ramps[name] || ramps[this.config.defaults.colorRamp]).colors;
+        },
+        
+        /**
+         * Per-category surfaces and dominant-category bins need a categorical
+         * colorBy (not age or none)
+         */
+        legendCategoriesAvailable() {
+            return this.activeLegendItems().length > 0;
+        },
+        
+        // ---------------------------------------------------------------------
+        // Overlay Methods
+        // ---------------------------------------------------------------------
+        
+        /**
+         * Add GeoJSON overlays from the file input or a drop on the
+         * sidebar drop zone
+         */
+        async addOverlayFiles(event) {
+            this.overlayDragging = false;
+            const files = event.dataTransfer ? event.dataTransfer.files : event.target.files;
+            if (!files || files.length === 0) return;
+            this.overlayMessage = '';
+            await OverlayLayers.addFiles(Array.from(files));
+            if (event.target && event.target.type === 'file') {
+                event.target.value = '';   // allow picking the same file again
+            }
+        },
+        
+        async loadOverlayUrl() {
+            const url = this.overlayUrl.trim();
+            if (!url) return;
+            this.overlayMessage = 'Loading...';
+            try {
+                const overlay = await OverlayLayers.addUrl(url);
+                this.overlayUrl = '';
+                this.overlayMessage = 'Added "' + overlay.name + '" (' + overlay.featureCount +
+                    (overlay.featureCount === 1 ? ' feature).' : ' features).');
+            } catch (e) {
+                // Network errors, CORS refusals and non-GeoJSON responses
+                this.overlayMessage = 'Could not load overlay: ' + e.message;
+            }
+        },
+        
+        updateOverlay(id, changes) {
+            OverlayLayers.update(id, changes);
+        },
+        
+        zoomToOverlay(id) {
+            OverlayLayers.fitTo(id);
+        },
+        
+        removeOverlay(id) {
+            OverlayLayers.remove(id);
+            this.overlayMessage = '';
+        },
+        
+        // ---------------------------------------------------------------------
+        // Private Sample Methods
+        // ---------------------------------------------------------------------
+        
+        /**
+         * Read a CSV chosen in the file input or dropped on the drop zone.
+         * The file is parsed here and never sent to the server.
+         */
+        async loadPrivateCsv(event) {
+            const files = event.dataTransfer ? event.dataTransfer.files : event.target.files;
+            const file = files && files[0];
+            if (event.target && event.target.type === 'file') {
+                event.target.value = '';   // allow picking the same file again
+            }
+            if (!file || !map) return;
+            
+            const state = this.privateSamples;
+            try {
+                const loaded = PrivateSamples.load(await file.text(), this.config.csvColumns);
+                if (!privateLayer) {
+                    privateLayer = PrivateSamples.create({ outlineColor: state.outlineColor });
+                }
+                privateLayer.setSamples(loaded.samples);
+                state.fileName = file.name;
+                state.count = loaded.samples.length;
+                state.skipped = loaded.skipped;
+                state.visible = true;
+                state.message = '';
+                this.updatePrivateLayer();
+                
+                const bounds = privateLayer.getBounds();
+                if (state.shown > 0 && bounds.isValid()) {
+                    map.fitBounds(bounds.extend(map.getBounds()), { maxZoom: 8 });
+                }
+            } catch (e) {
+                state.message = 'Could not read ' + file.name + ': ' + e.message;
+            }
+        },
+        
+        /**
+         * Show the private samples passing the current filters, colored like
+         * the published markers
+         */
+        updatePrivateLayer() {
+            if (!privateLayer || !map) return;
+            const state = this.privateSamples;
+            
+            if (!state.visible) {
+                map.removeLayer(privateLayer);
+                return;
+            }
+            privateLayer.addTo(map);
+            state.shown = privateLayer.update(this.buildQueryPayload(), {
+                colorBy: this.colorBy,
+                legend: this.activeLegendItems(),
+                ageRange: this.meta.ageColorRange,
+                rampColors: this.rampColors(this.colorRamp),
+                defaultColor: this.config.defaults.pointColor,
+                toLatLng: displayLatLng
+            });
+        },
+        
+        setPrivateOutline(color) {
+            this.privateSamples.outlineColor = color;
+            if (privateLayer) privateLayer.setOutlineColor(color);
+        },
+        
+        clearPrivateSamples() {
+            if (privateLayer) {
+                map.removeLayer(privateLayer);
+                privateLayer = null;
+            }
+            Object.assign(this.privateSamples, { fileName: '', count: 0, shown: 0, skipped: 0, message: '' });
+        },
+        
+        // ---------------------------------------------------------------------
+        // Compare Methods
+        // ---------------------------------------------------------------------
+        
+        /**
+         * Pin the current filters as the left side and keep editing the right
+         */
+        startCompare() {
+            if (!this.config || !map) return;
+            CompareView.enable(map, {
+                fetchPopupContent: fetchPopupContent,
+                toLatLng: displayLatLng
+            });
+            this.compare.active = true;
+            this.pinCompareSide(this.buildQueryPayload());
+        },
+        
+        stopCompare() {
+            compareRequest++;
+            CompareView.disable();
+            this.compare = { active: false, payload: null, meta: null, loading: false };
+        },
+        
+        /**
+         * Replace the pinned side with the current filters
+         */
+        repinCompare() {
+            this.pinCompareSide(this.buildQueryPayload());
+        },
+        
+        /**
+         * Exchange the two sides: the pinned filters become editable and the
+         * current ones are pinned
+         */
+        swapCompare() {
+            const live = this.buildQueryPayload();
+            this.stopPlayback();
+            this.applyQueryState(this.compare.payload);
+            this.pinCompareSide(live);
+            this.applyFilters();
+        },
+        
+        /**
+         * Query the server for a pinned payload and draw it left of the divider
+         */
+        async pinCompareSide(payload) {
+            // Deep copy, so later edits to the live selection arrays stay on B
+            const pinned = JSON.parse(JSON.stringify(payload));
+            const request = ++compareRequest;
+            
+            this.compare.payload = pinned;
+            this.compare.meta = null;
+            this.compare.loading = true;
+            this.updateCompareLabels();
+            CompareView.setShape(pinned.spatialFilter ? ShapeDrawer.toLayer(pinned.spatialFilter) : null);
+            
+            try {
+                const data = await fetchQuery(JSON.stringify(pinned));
+                if (request !== compareRequest) return;
+                if (data.error) {
+                    console.error('Compare query error:', data.message);
+                    return;
+                }
+                this.compare.meta = data.meta;
+                CompareView.setFeatures(data.features, {
+                    radius: this.config.defaults.pointRadius,
+                    defaultColor: this.config.defaults.pointColor
+                });
+                this.updateCompareLabels();
+            } catch (e) {
+                console.error('Error loading compare side:', e);
+            } finally {
+                if (request === compareRequest) this.compare.loading = false;
+            }
+        },
+        
+        /**
+         * Captions on either side of the divider: filter summary and count
+         */
+        updateCompareLabels() {
+            if (!this.compare.active) return;
+            const count = (meta) => meta ? meta.filteredCount + ' samples' : 'loading…';
+            CompareView.setLabels(
+                'A: ' + this.filterStateSummary(this.compare.payload) + ' · ' + count(this.compare.meta),
+                'B: ' + this.filterStateSummary(this.buildQueryPayload()) + ' · ' + count(this.meta)
+            );
+        },
+        
+        /**
+         * Short description of a filter state, e.g.
+         * "5,000–3,000 cal BP, Corded Ware, R1a*"
+         */
+        filterStateSummary(state) {
+            if (!state) return '';
+            const parts = [];
+            const listed = (active, selected, noun) => {
+                if (!active) return;
+                parts.push(selected.length === 1 ? selected[0] : selected.length + ' ' + noun);
+            };
+            
+            if (typeof state.dateMin === 'number' && typeof state.dateMax === 'number') {
+                parts.push(DateFormat.formatRange(state.dateMax, state.dateMin, this.dateUnit));
+            }
+            listed(state.cultureFilterActive, state.selectedCultures, 'cultures');
+            listed(state.yHaplogroupFilterActive, state.selectedYHaplogroups, 'Y-haplogroups');
+            listed(state.mtdnaFilterActive, state.selectedMtdna, 'mtDNA haplogroups');
+            listed(state.sourceFilterActive, state.selectedSources, 'sources');
+            if (state.yHaplotreeTerms && state.yHaplotreeTerms.length > 0) {
+                parts.push(state.yHaplotreeTerms.map(t => t + '*').join(' '));
+            }
+            if (state.spatialFilter) parts.push('area');
+            
+            return parts.join(', ');
+        },
+        
+        /**
+         * Legend entries of the pinned side's color mode
+         */
+        compareLegendItems() {
+            if (!this.compare.payload) return [];
+            return this.legendItemsFor(this.compare.payload.colorBy, this.compare.meta);
+        },
+        
+        // ---------------------------------------------------------------------
+        // Export Methods
+        // ---------------------------------------------------------------------
+        
+        /**
+         * Download the currently filtered samples with full properties and
+         * their assigned colors. The server re-runs the current query, so the
+         * file always matches the map without fetching each sample.
+         */
+        async exportSamples() {
+            if (!this.config || this.exporting) return;
+            
+            this.exporting = true;
+            this.exportMessage = '';
+            try {
+                const payload = Object.assign(this.buildQueryPayload(), { format: this.exportFormat });
+                const response = await fetch('/api/export', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+                
+                // Failures come back as a plain JSON error object
+                const contentType = response.headers.get('Content-Type') || '';
+                if (contentType.startsWith('application/json')) {
+                    const data = await response.json();
+                    console.error('Export error:', data.message);
+                    this.exportMessage = 'Export failed: ' + data.message;
+                    return;
+                }
+                
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                const filename = match ? match[1] : 'samples.' + this.exportFormat;
+                
+                downloadBlob(await response.blob(), filename);
+            } catch (error) {
+                console.error('Failed to export samples:', error);
+                this.exportMessage = 'Export failed: the server could not be reached.';
+            } finally {
+                this.exporting = false;
+            }
+        },
+        
+        /**
+         * Download the map view as a PNG or SVG figure. Samples are drawn as
+         * markers whatever the display mode, with the markers' legend.
+         */
+        async exportFigure() {
+            if (!map || !this.config || this.figure.exporting) return;
+
+            this.figure.exporting = true;
+            this.figure.message = '';
+            try {
+                const defaultColor = this.config.defaults.pointColor;
+                const result = await FigureExport.render(map, {
+                    format: this.figure.format,
+                    dpi: Number(this.figure.dpi),
+                    tileUrl: activeBasemap.url,
+                    attribution: activeBasemap.attribution,
+                    points: this.features.map(f => ({ latlng: displayLatLng(f), color: f.color || defaultColor })),
+                    radius: this.config.defaults.pointRadius,
+                    shape: this.spatialFilter,
+                    // The figure's legend box is narrower than the on-map legend
+                    legend: this.mapLegendSpec('markers', 2),
+                    caption: this.figureCaption()
+                });
+                downloadBlob(result.blob, 'archeogeneticmap.' + this.figure.format);
+
+                const notes = [];
+                if (result.dpi && result.dpi < Number(this.figure.dpi)) {
+                    notes.push('Saved at ' + result.dpi + ' DPI, the most this view size allows.');
+                }
+                if (result.missingTiles > 0) {
+                    notes.push(result.missingTiles + ' basemap tiles could not be loaded.');
+                }
+                this.figure.message = notes.join(' ');
+            } catch (error) {
+                console.error('Failed to export figure:', error);
+                this.figure.message = 'Figure export failed.';
+            } finally {
+                this.figure.exporting = false;
+            }
+        },
+
+        /**
+         * Figure caption: the filter summary and the sample count
+         */
+        figureCaption() {
+            const summary = this.filterStateSummary(this.buildQueryPayload()) || 'All samples';
+            return summary + ' · ' + this.filteredCount.toLocaleString() + ' of ' +
+                this.totalCount.toLocaleString() + ' samples';
+        },
+
+        // ---------------------------------------------------------------------
+        // Date Range Methods
+        // ---------------------------------------------------------------------
+        
+        onSliderInput(which) {
+            if (!this.dateScale) return;
+            this.stopPlayback();
+            if (which === 'min') {
+                this.filters.dateMax = Math.round(this.dateScale.toValue(this.sliderPositions.min));
+            } else {
+                this.filters.dateMin = Math.round(this.dateScale.toValue(this.sliderPositions.max));
+            }
+            this.applyFiltersDebounced();
+        },
+        
+        /**
+         * Date input changed: convert from the display unit back to cal BP
+         * @param {string} which - 'min' (younger bound) or 'max' (older bound)
+         * @param {HTMLInputElement} input
+         */
+        onDateInput(which, input) {
+            const key = which === 'min' ? 'dateMin' : 'dateMax';
+            const value = parseFloat(input.value);
+            if (isNaN(value)) {
+                input.value = this.displayDate(this.filters[key]);
+                return;
+            }
+            this.filters[key] = DateFormat.fromDisplay(value, this.dateUnit);
+            this.onDateChange();
+        },
+        
+        onDateChange() {
+            if (!this.dateScale) return;
+            this.stopPlayback();
+            this.filters.dateMin = this.dateScale.clamp(this.filters.dateMin);
+            this.filters.dateMax = this.dateScale.clamp(this.filters.dateMax);
+            this.syncSliderToDates();
+            this.applyFilters();
+        },
+        
+        /**
+         * Move both slider handles to match filters.dateMin / filters.dateMax.
+         * The scale is inverted, so the oldest date sits on the left handle.
+         */
+        syncSliderToDates() {
+            if (!this.dateScale) return;
+            this.sliderPositions.min = this.dateScale.toSlider(this.filters.dateMax);
+            this.sliderPositions.max = this.dateScale.toSlider(this.filters.dateMin);
+        },
+        
+        /**
+         * Date as shown in the date inputs (cal BP, or signed year for BCE/CE)
+         */
+        displayDate(calbp) {
+            return DateFormat.toDisplay(calbp, this.dateUnit);
+        },
+        
+        /**
+         * Date as text in the current unit, e.g. "3,051 BCE"
+         */
+        formatDate(calbp) {
+            return DateFormat.format(calbp, this.dateUnit);
+        },
+        
+        dateUnitLabel() {
+            return DateFormat.unitLabel(this.dateUnit);
+        },
+        
+        onDateUnitChange() {
+            DateFormat.setUnit(this.dateUnit);
+            this.updateCompareLabels();
+            updateMapLegend(this.mapLegendSpec());
+        },
+        
+        /**
+         * Slider input bounds from the server config
+         */
+        sliderBounds() {
+            return this.dateScale ? this.dateScale.sliderBounds : PiecewiseScale.DEFAULTS;
+        },
+        
+        sliderRangeStyle() {
+            if (!this.dateScale) {
+                return { left: '0%', width: '100%' };
+            }
+            return this.dateScale.rangeStyle(this.sliderPositions.min, this.sliderPositions.max);
+        },
+        
+        /**
+         * Re-bin meta.ageHistogram into slider space, so bars line up with
+         * the piecewise segments. Heights use the square root of the count,
+         * which keeps sparse periods visible next to the dense Holocene.
+         */
+        updateSliderHistogram() {
+            const hist = this.meta.ageHistogram;
+            if (!hist || !this.dateScale) {
+                this.sliderHistogram = [];
+                return;
+            }
+            const counts = this.dateScale.rebin(hist.counts, hist.min, hist.max, SLIDER_HISTOGRAM_BINS);
+            const max = Math.max(...counts);
+            this.sliderHistogram = counts.map(count => ({
+                count: Math.round(count),
+                height: max > 0 ? Math.sqrt(count / max) : 0
+            }));
+        },
+        
+        /**
+         * Whether histogram bar i lies between the slider handles
+         */
+        histogramBarSelected(i) {
+            const bounds = this.sliderBounds();
+            const center = bounds.min + (i + 0.5) * (bounds.max - bounds.min) / this.sliderHistogram.length;
+            return center >= this.sliderPositions.min && center <= this.sliderPositions.max;
+        },
+        
+        // ---------------------------------------------------------------------
+        // Time Playback Methods
+        // ---------------------------------------------------------------------
+        
+        /**
+         * Move the playback window one step (direction +1 = towards younger).
+         * The first call places the window at the oldest end of the data.
+         * The window keeps its width and stops at the youngest end.
+         *
+         * @returns {boolean} false when the window could not move any further
+         */
+        advancePlaybackWindow(direction) {
+            const stats    = this.config.dateStatistics;
+            const width    = Math.max(1, this.playback.windowYears || 0);
+            const step     = Math.max(1, this.playback.stepYears || 0);
+            const previous = this.playback.position;
+            
+            let upper = previous === null ? stats.max : previous - direction * step;
+            upper = Math.min(stats.max, Math.max(stats.min + width, upper));
+            
+            if (upper === previous) return false;
+            
+            this.playback.position = upper;
+            this.filters.dateMax = Math.round(upper);
+            this.filters.dateMin = Math.round(Math.max(stats.min, upper - width));
+            this.syncSliderToDates();
+            return true;
+        },
+        
+        togglePlayback() {
+            if (this.playback.playing) {
+                this.pausePlayback();
+            } else {
+                this.startPlayback();
+            }
+        },
+        
+        startPlayback() {
+            if (!this.config || !this.dateScale) return;
+            
+            // Restart from the oldest end once the previous run has finished
+            const stats = this.config.dateStatistics;
+            const width = Math.max(1, this.playback.windowYears || 0);
+            if (this.playback.position !== null
+                && this.playback.position <= stats.min + width) {
+                this.playback.position = null;
+            }
+            
+            this.playback.playing = true;
+            this.playbackFrame();
+        },
+        
+        /**
+         * Render one frame, then schedule the next. The next frame is timed
+         * from the start of this one but never before the query completes,
+         * so slow responses lower the frame rate instead of piling up requests.
+         */
+        async playbackFrame() {
+            if (!this.playback.playing) return;
+            
+            const started = performance.now();
+            if (!this.advancePlaybackWindow(1)) {
+                this.pausePlayback();
+                return;
+            }
+            await this.applyFilters();
+            
+            if (!this.playback.playing) return;
+            const interval = 1000 / Math.min(10, Math.max(0.1, this.playback.fps || 1));
+            const wait = Math.max(0, interval - (performance.now() - started));
+            this.playbackTimer = setTimeout(() => this.playbackFrame(), wait);
+        },
+        
+        pausePlayback() {
+            const wasPlaying = this.playback.playing;
+            this.playback.playing = false;
+            clearTimeout(this.playbackTimer);
+            this.playbackTimer = null;
+            if (wasPlaying && this.sections.yHaplotree) this.loadHaplotree();
+        },
+        
+        /**
+         * Pause and forget the window position. Called whenever the date
+         * range is changed by other means, so the next play starts afresh.
+         */
+        stopPlayback() {
+            this.pausePlayback();
+            this.playback.position = null;
+        },
+        
+        /**
+         * Manually step the window one frame forward (+1) or back (-1)
+         */
+        stepPlayback(direction) {
+            if (!this.config || !this.dateScale) return;
+            this.pausePlayback();
+            if (this.advancePlaybackWindow(direction)) {
+                this.applyFilters();
+            }
+        },
+        
+        // ---------------------------------------------------------------------
+        // Color Methods
+        // ---------------------------------------------------------------------
+        
+        onColorByAgeChange() {
+            this.colorBy = this.colorBy === 'age' ? null : 'age';
+            this.applyFilters();
+        },
+        
+        onColorRampChange() {
+            if (this.colorBy === 'age') this.applyFilters();
+        },
+        
+        onColorByCultureChange() {
+            this.colorBy = this.colorBy === 'culture' ? null : 'culture';
+            this.applyFilters();
+        },
+        
+        onCultureColorRampChange() {
+            if (this.colorBy === 'culture') this.applyFilters();
+        },
+        
+        // ---------------------------------------------------------------------
+        // Culture Filter Methods
+        // ---------------------------------------------------------------------
+
+        /**
+         * Toggle the culture filter on/off.
          * Turning on: initialise selected to all currently available options.
          * Turning off: clear selected (backend ignores it when inactive).
          */
@@ -858,22 +2172,195 @@ function filterController() {
         },
 
         // ---------------------------------------------------------------------
-        // Y-Haplotree Filter Methods
+        // Sample Search Methods
         // ---------------------------------------------------------------------
 
-        addYHaplotreeTerm() {
-            const term = this.yHaplotreeSearchInput.trim();
-            if (!term || this.yHaplotreeTerms.includes(term)) {
-                this.yHaplotreeSearchInput = '';
+        async searchSamples() {
+            const text = this.sampleSearch.text.trim();
+            this.sampleSearch.message = '';
+            if (!text) {
+                this.sampleSearch.matches = [];
+                this.sampleSearch.open = false;
+                return;
+            }
+            try {
+                const response = await fetch('/api/samples/search?q=' + encodeURIComponent(text));
+                const data = await response.json();
+                // Ignore responses for text the user has since changed
+                if (text !== this.sampleSearch.text.trim()) return;
+                this.sampleSearch.matches = data.matches || [];
+                this.sampleSearch.highlighted = this.sampleSearch.matches.length ? 0 : -1;
+                this.sampleSearch.open = true;
+            } catch (e) {
+                console.error('Sample search failed:', e);
+            }
+        },
+
+        searchSamplesDebounced: debounce(function() {
+            this.searchSamples();
+        }, 200),
+
+        onSampleSearchKeydown(e) {
+            const search = this.sampleSearch;
+            const n = search.matches.length;
+            if (e.key === 'ArrowDown' && n) {
+                e.preventDefault();
+                search.open = true;
+                search.highlighted = (search.highlighted + 1) % n;
+            } else if (e.key === 'ArrowUp' && n) {
+                e.preventDefault();
+                search.highlighted = (search.highlighted - 1 + n) % n;
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const id = (search.open && search.highlighted >= 0)
+                    ? search.matches[search.highlighted]
+                    : search.text.trim();
+                if (id) this.selectSample(id);
+            } else if (e.key === 'Escape') {
+                search.open = false;
+            }
+        },
+
+        isSampleOnMap(id) {
+            return markersById.has(id);
+        },
+
+        /**
+         * Reveal a sample on the map, or explain which filters hide it
+         */
+        async selectSample(id) {
+            this.sampleSearch.text = id;
+            this.sampleSearch.open = false;
+            this.sampleSearch.message = '';
+
+            const marker = markersById.get(id);
+            if (marker) {
+                // Individual samples are only reachable as markers
+                if (this.displayMode !== 'markers') this.setDisplayMode('markers');
+                revealMarker(marker);
+                return;
+            }
+
+            try {
+                const payload = Object.assign(this.buildQueryPayload(), { id: id });
+                const response = await fetch('/api/samples/locate', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+                const data = await response.json();
+                if (data.error) {
+                    console.error('Locate error:', data.message);
+                    return;
+                }
+                this.sampleSearch.message = this.exclusionMessage(data);
+            } catch (e) {
+                console.error('Failed to locate sample:', e);
+            }
+        },
+
+        exclusionMessage(result) {
+            if (!result.found) {
+                return 'No sample with ID "' + result.id + '".';
+            }
+            const labels = {
+                area: 'Area',
+                date: 'Date Range',
+                culture: 'Culture',
+                y_haplogroup: 'Y Haplogroup',
+                y_haplotree: 'Y-Haplotree',
+                mtdna: 'mtDNA',
+                source: 'Study / Source'
+            };
+            const names = (result.reasons || []).map(r => labels[r] || r);
+            if (names.length === 0) {
+                return result.id + ' is not on the map yet; try again once loading finishes.';
+            }
+            return result.id + ' is hidden by the ' + names.join(', ') +
+                   (names.length === 1 ? ' filter.' : ' filters.');
+        },
+
+        // ---------------------------------------------------------------------
+        // Spatial Filter Methods
+        // ---------------------------------------------------------------------
+
+        /**
+         * Start drawing a shape of the given type. Clicking the same button
+         * again while drawing cancels instead.
+         */
+        startDrawing(type) {
+            if (!map) return;
+            if (this.drawingShape === type) {
+                this.cancelDrawing();
                 return;
             }
+            this.drawingShape = type;
+            ShapeDrawer.start(map, type, (shape) => {
+                this.drawingShape = null;
+                this.spatialFilter = shape;
+                updateSpatialLayer(shape);
+                this.applyFilters();
+            }, () => {
+                // Escape on the map
+                this.drawingShape = null;
+            });
+        },
+
+        cancelDrawing() {
+            ShapeDrawer.cancel();
+            this.drawingShape = null;
+        },
+
+        clearSpatialFilter() {
+            this.cancelDrawing();
+            if (!this.spatialFilter) return;
+            this.spatialFilter = null;
+            updateSpatialLayer(null);
+            this.applyFilters();
+        },
+
+        drawingHint() {
+            if (this.drawingShape === 'polygon') {
+                return 'Click to add vertices; double-click or click the first vertex to finish. Esc cancels.';
+            }
+            if (this.drawingShape) {
+                return 'Press and drag on the map. Esc cancels.';
+            }
+            return '';
+        },
+
+        spatialFilterSummary() {
+            const shape = this.spatialFilter;
+            if (!shape) return 'No area selected';
+            if (shape.type === 'circle') {
+                return 'Circle, radius ' + Math.round(shape.radius / 1000).toLocaleString() + ' km';
+            }
+            if (shape.type === 'polygon') {
+                return 'Polygon, ' + shape.coordinates.length + ' vertices';
+            }
+            return 'Rectangle';
+        },
+
+        // ---------------------------------------------------------------------
+        // Y-Haplotree Filter Methods
+        // ---------------------------------------------------------------------
+
+        /**
+         * Add a term from the text input, or the given value (a tree node).
+         * Only a term taken from the input clears it.
+         */
+        addYHaplotreeTerm(value) {
+            const fromInput = value === undefined;
+            const term = (fromInput ? this.yHaplotreeSearchInput : value).trim();
+            if (fromInput) this.yHaplotreeSearchInput = '';
+            if (!term || this.isYHaplotreeTermActive(term)) return;
+
             // Mutual exclusivity: turn off y_haplogroup filter
             this.yHaplogroupFilterActive = false;
             this.selectedYHaplogroups = [];
             if (this.colorBy === 'y_haplogroup') this.colorBy = null;
 
             this.yHaplotreeTerms.push(term);
-            this.yHaplotreeSearchInput = '';
             this.applyFilters();
         },
 
@@ -902,10 +2389,99 @@ function filterController() {
             this.applyFilters();
         },
 
+        /**
+         * Whether a node name is an active term (terms match case-insensitively)
+         */
+        isYHaplotreeTermActive(name) {
+            const lower = name.toLowerCase();
+            return this.yHaplotreeTerms.some(t => t.toLowerCase() === lower);
+        },
+
+        // ---------------------------------------------------------------------
+        // Haplotree Browser Methods
+        // ---------------------------------------------------------------------
+
+        toggleYHaplotreeSection() {
+            this.sections.yHaplotree = !this.sections.yHaplotree;
+            if (this.sections.yHaplotree) this.loadHaplotree();
+        },
+
+        /**
+         * Fetch the haplotree with per-node counts under the current filters
+         */
+        async loadHaplotree() {
+            const request = ++haplotreeRequest;
+            this.haplotree.loading = true;
+
+            try {
+                const response = await fetch('/api/haplotree', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(this.buildQueryPayload())
+                });
+                const data = await response.json();
+                if (request !== haplotreeRequest) return;
+                if (data.error) {
+                    console.error('Haplotree error:', data.message);
+                    return;
+                }
+                this.haplotree.root = data.tree;
+            } catch (e) {
+                console.error('Failed to load haplotree:', e);
+            } finally {
+                if (request === haplotreeRequest) this.haplotree.loading = false;
+            }
+        },
+
+        haplotreeRows() {
+            return HaplotreeBrowser.rows(this.haplotree.root, this.haplotree.expanded, this.haplotree.search);
+        },
+
+        toggleHaplotreeNode(row) {
+            this.haplotree.expanded[row.key] = !row.expanded;
+        },
+
+        collapseHaplotree() {
+            this.haplotree.expanded = {};
+        },
+
+        /**
+         * Checking a node adds it as a term; unchecking removes it
+         */
+        toggleHaplotreeTerm(name) {
+            const lower = name.toLowerCase();
+            const term = this.yHaplotreeTerms.find(t => t.toLowerCase() === lower);
+            if (term) {
+                this.removeYHaplotreeTerm(term);
+            } else {
+                this.addYHaplotreeTerm(name);
+            }
+        },
+
         yHaplotreeLegendItems() {
             return this.meta.yHaplotreeLegend || [];
         },
 
+        /**
+         * Legend entries for the active colorBy mode ([] for age or no coloring)
+         */
+        activeLegendItems() {
+            return this.legendItemsFor(this.colorBy, this.meta);
+        },
+
+        /**
+         * Legend entries a query response's meta holds for a colorBy mode
+         */
+        legendItemsFor(colorBy, meta) {
+            const keys = {
+                culture:      'cultureLegend',
+                y_haplogroup: 'yHaplogroupLegend',
+                mtdna:        'mtdnaLegend',
+                y_haplotree:  'yHaplotreeLegend'
+            };
+            return (meta && keys[colorBy] && meta[keys[colorBy]]) || [];
+        },
+
         onColorByYHaplotreeChange() {
             this.colorBy = this.colorBy === 'y_haplotree' ? null : 'y_haplotree';
             this.applyFilters();
@@ -915,6 +2491,78 @@ function filterController() {
             if (this.colorBy === 'y_haplotree') this.applyFilters();
         },
 
+        // ---------------------------------------------------------------------
+        // Map Legend Methods
+        // ---------------------------------------------------------------------
+
+        /**
+         * MapLegend spec for what the map shows now: the age ramp or the
+         * categories of the active colorBy. Density and count-binned display
+         * modes have no marker colors to explain, so they get no legend.
+         * ageTicks is the number of intervals between age labels.
+         */
+        mapLegendSpec(mode = this.effectiveDisplayMode(), ageTicks = 4) {
+            const categories = (mode === 'heatmap' && this.heatmap.byCategory) ||
+                (mode === 'hexbin' && this.hexbin.colorMode === 'dominant');
+            if (mode !== 'markers' && !categories) return null;
+
+            if (this.colorBy === 'age') {
+                if (mode !== 'markers' || !this.meta.ageColorRange) return null;
+                return this.ageLegendSpec(this.meta.ageColorRange, ageTicks);
+            }
+            return this.categoryLegendSpec();
+        },
+
+        /**
+         * Age ramp, oldest on the left like the date slider
+         */
+        ageLegendSpec(range, intervals = 4) {
+            const ticks = [];
+            for (let i = 0; i <= intervals; i++) {
+                const value = range.max - (range.max - range.min) * i / intervals;
+                ticks.push({ label: this.formatDate(value), position: 100 * i / intervals });
+            }
+            return {
+                title: 'Age',
+                gradient: this.colorRampGradient(this.colorRamp),
+                ticks: ticks
+            };
+        },
+
+        /**
+         * Every available value of the colorBy dimension, in list order, with
+         * the selected ones in their marker colors. Clicking an entry toggles
+         * it in the matching selection. Haplotree terms are listed as they are.
+         */
+        categoryLegendSpec() {
+            const items = this.activeLegendItems();
+            if (this.colorBy === 'y_haplotree') {
+                if (items.length === 0) return null;
+                return {
+                    title: 'Y-Haplotree',
+                    items: items.map(item => ({ name: item.name, color: item.color, active: true }))
+                };
+            }
+
+            const dimensions = {
+                culture:      { title: 'Culture',      active: this.cultureFilterActive,     available: this.availableCultures,     toggle: 'toggleCulture' },
+                y_haplogroup: { title: 'Y Haplogroup', active: this.yHaplogroupFilterActive, available: this.availableYHaplogroups, toggle: 'toggleYHaplogroup' },
+                mtdna:        { title: 'mtDNA',        active: this.mtdnaFilterActive,       available: this.availableMtdna,        toggle: 'toggleMtdna' }
+            };
+            const dimension = dimensions[this.colorBy];
+            if (!dimension || !dimension.active) return null;
+
+            const colors = new Map(items.map(item => [item.name, item.color]));
+            const names = dimension.available.concat(
+                items.map(item => item.name).filter(name => !dimension.available.includes(name))
+            );
+            return {
+                title: dimension.title,
+                items: names.map(name => ({ name: name, color: colors.get(name), active: colors.has(name) })),
+                onToggle: (name) => this[dimension.toggle](name)
+            };
+        },
+
         // ---------------------------------------------------------------------
         // Color Ramp Utilities
         // ---------------------------------------------------------------------
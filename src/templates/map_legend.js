@@ -0,0 +1,170 @@
+/**
+ * Map Legend Module
+ *
+ * Leaflet control showing the legend of the active colorBy mode on the map,
+ * so it stays visible with the sidebar collapsed (and in screenshots).
+ *
+ * Legends:
+ *   gradient   → the age color ramp with evenly spaced tick labels
+ *   categories → one swatch per value; inactive values are drawn hollow and
+ *                dimmed. With an onToggle handler each entry is a button
+ *                that toggles its value.
+ *
+ * The header collapses the legend to its title.
+ *
+ * Usage:
+ *   const legend = MapLegend.create({ position: 'bottomright' }).addTo(map);
+ *   legend.update({
+ *       title: 'Age',
+ *       gradient: 'linear-gradient(to right, ...)',
+ *       ticks: [{ label: '5,000 cal BP', position: 0 }, ..., { label: '...', position: 100 }]
+ *   });
+ *   legend.update({
+ *       title: 'Culture',
+ *       items: [{ name: 'Yamnaya', color: '#440154', active: true }, ...],
+ *       onToggle: function (name) { ... }
+ *   });
+ *   legend.update(null);   // hide
+ *
+ * Dependencies: Leaflet (L), PopupBuilder
+ */
+
+const MapLegend = (function () {
+
+    // =========================================================================
+    // Control
+    // =========================================================================
+
+    const LegendControl = L.Control.extend({
+
+        options: {
+            position: 'bottomright'
+        },
+
+        initialize: function (options) {
+            L.setOptions(this, options);
+            this._spec = null;
+            this._collapsed = false;
+        },
+
+        onAdd: function () {
+            const container = L.DomUtil.create('div', 'map-legend leaflet-bar');
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            L.DomEvent.on(container, 'click', this._onClick, this);
+            this._container = container;
+            this._render();
+            return container;
+        },
+
+        onRemove: function () {
+            L.DomEvent.off(this._container, 'click', this._onClick, this);
+        },
+
+        /**
+         * @param {Object|null} spec - Gradient or categories legend, null to hide
+         */
+        update: function (spec) {
+            this._spec = spec;
+            this._render();
+            return this;
+        },
+
+        _render: function () {
+            const container = this._container;
+            if (!container) return;
+
+            const spec = this._spec;
+            container.style.display = spec ? '' : 'none';
+            if (!spec) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const esc = PopupBuilder.escapeHtml;
+            let body = '';
+            if (!this._collapsed) {
+                body = spec.items ? _categoriesHtml(spec) : _gradientHtml(spec);
+            }
+            container.innerHTML =
+                '<button type="button" class="map-legend-header" data-action="collapse"' +
+                ' aria-expanded="' + !this._collapsed + '">' +
+                '<span>' + esc(spec.title) + '</span>' +
+                '<span class="chevron' + (this._collapsed ? ' collapsed' : '') + '">&#x25BC;</span>' +
+                '</button>' + body;
+        },
+
+        _onClick: function (e) {
+            const target = e.target.closest('[data-action]');
+            if (!target || !this._spec) return;
+
+            if (target.dataset.action === 'collapse') {
+                this._collapsed = !this._collapsed;
+                this._render();
+            } else if (target.dataset.action === 'toggle' && this._spec.onToggle) {
+                const item = this._spec.items[Number(target.dataset.index)];
+                if (item) this._spec.onToggle(item.name);
+            }
+        }
+    });
+
+    // =========================================================================
+    // Rendering
+    // =========================================================================
+
+    function _gradientHtml(spec) {
+        const esc = PopupBuilder.escapeHtml;
+        const ticks = (spec.ticks || []).map(function (tick) {
+            // Pin the end labels inside the bar instead of centering them
+            const shift = tick.position <= 0 ? '0' : tick.position >= 100 ? '-100%' : '-50%';
+            return '<span class="map-legend-tick" style="left:' + tick.position + '%;' +
+                'transform:translateX(' + shift + ')">' + esc(tick.label) + '</span>';
+        });
+        return '<div class="map-legend-body">' +
+            '<div class="map-legend-gradient" style="background:' + esc(spec.gradient) + '"></div>' +
+            '<div class="map-legend-ticks">' + ticks.join('') + '</div>' +
+            '</div>';
+    }
+
+    function _categoriesHtml(spec) {
+        const esc = PopupBuilder.escapeHtml;
+        const interactive = typeof spec.onToggle === 'function';
+
+        const rows = spec.items.map(function (item, i) {
+            const swatch = '<span class="map-legend-swatch" style="' +
+                (item.active && item.color ? 'background:' + esc(item.color) : '') + '"></span>';
+            const label = '<span class="map-legend-label">' + esc(item.name) + '</span>';
+            const cls = 'map-legend-item' + (item.active ? '' : ' inactive');
+
+            if (!interactive) return '<div class="' + cls + '">' + swatch + label + '</div>';
+            return '<button type="button" class="' + cls + '" data-action="toggle" data-index="' + i + '"' +
+                ' aria-pressed="' + !!item.active + '"' +
+                ' title="' + (item.active ? 'Hide ' : 'Show ') + esc(item.name) + '">' +
+                swatch + label + '</button>';
+        });
+
+        return '<div class="map-legend-body map-legend-items">' + rows.join('') + '</div>';
+    }
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Create a legend control (add it to a map with control.addTo(map))
+     * @param {Object} [options] - { position }
+     * @returns {L.Control}
+     */
+    function create(options) {
+        return new LegendControl(options);
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        create
+    };
+
+})();
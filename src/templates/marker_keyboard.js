@@ -0,0 +1,309 @@
+/**
+ * Marker Keyboard Module
+ *
+ * Keyboard and screen-reader access to the canvas-rendered sample markers,
+ * which have no DOM elements of their own. A "Samples" button is added to the
+ * map as a Leaflet control; while it has focus it acts as a cursor over the
+ * markers, shown on the map as a dark ring and announced through a polite
+ * live region.
+ *
+ * Keys (while the Samples button has focus):
+ *   ← ↑ → ↓  → move to the nearest visible sample in that direction
+ *   ENTER    → open the sample's popup, or expand its overlap group
+ *   in an expanded group:
+ *     ← ↑ / → ↓ → previous / next sample of the group (spoke or summary row)
+ *     ENTER     → open that sample's popup
+ *   ESC      → close the open popup and any expanded group
+ *
+ * Usage:
+ *   MarkerKeyboard.attach(map, {
+ *       getLayer: function () { return dataLayer; },   // current marker group
+ *       describe: function (feature) { return 'Sample ' + feature.id; }
+ *   });
+ *
+ * Dependencies: Leaflet (L), Spiderifier
+ */
+
+const MarkerKeyboard = (function () {
+
+    // =========================================================================
+    // Module State
+    // =========================================================================
+
+    let _map      = null;
+    let _options  = {};
+    let _control  = null;
+    let _live     = null;      // aria-live region for announcements
+    let _ring     = null;      // focus ring layer around the current marker
+
+    let _current  = null;      // marker under the keyboard cursor
+    let _members  = null;      // members of the expanded group, or null
+    let _index    = 0;         // position within _members
+
+    // =========================================================================
+    // Default Options
+    // =========================================================================
+
+    const DEFAULTS = {
+        getLayer: function () { return null; },
+        describe: function (feature) { return 'Sample ' + feature.id; },
+        ring    : {
+            radius     : 10,
+            color      : '#212529',
+            weight     : 3,
+            fill       : false,
+            interactive: false
+        }
+    };
+
+    // Perpendicular offset weight when picking the nearest marker in a
+    // direction; higher values prefer markers closer to the straight line
+    const CROSS_AXIS_WEIGHT = 2;
+
+    const DIRECTIONS = {
+        ArrowLeft : [-1,  0],
+        ArrowRight: [ 1,  0],
+        ArrowUp   : [ 0, -1],
+        ArrowDown : [ 0,  1]
+    };
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Add the Samples control and live region to a map
+     * @param {L.Map}  map
+     * @param {Object} options - { getLayer, describe, ring }
+     */
+    function attach(map, options) {
+        _map     = map;
+        _options = Object.assign({}, DEFAULTS, options);
+
+        _live = document.createElement('div');
+        _live.className = 'sr-only';
+        _live.setAttribute('role', 'status');
+        _live.setAttribute('aria-live', 'polite');
+        document.body.appendChild(_live);
+
+        const SamplesControl = L.Control.extend({
+            options: { position: 'topleft' },
+            onAdd: function () {
+                const button = L.DomUtil.create('button', 'marker-keyboard-button leaflet-bar');
+                button.type = 'button';
+                button.textContent = 'Samples';
+                button.setAttribute('aria-label',
+                    'Browse samples with the keyboard. Arrow keys move between samples, ' +
+                    'Enter opens a sample or expands a group, Escape closes.');
+                L.DomEvent.disableClickPropagation(button);
+                L.DomEvent.on(button, 'focus',   _onFocus);
+                L.DomEvent.on(button, 'blur',    _onBlur);
+                L.DomEvent.on(button, 'keydown', _onKeyDown);
+                return button;
+            }
+        });
+        _control = new SamplesControl().addTo(_map);
+    }
+
+    /**
+     * Put an announcement into the live region
+     * @param {string} text
+     */
+    function announce(text) {
+        if (!_live) return;
+        // Clearing first makes screen readers repeat identical messages
+        _live.textContent = '';
+        setTimeout(function () { _live.textContent = text; }, 50);
+    }
+
+    // =========================================================================
+    // Event Handlers
+    // =========================================================================
+
+    function _onFocus() {
+        if (!_isOnMap(_current)) {
+            _current = _nearestToCenter();
+            _members = null;
+        }
+        if (!_current) {
+            announce('No samples are visible on the map.');
+            return;
+        }
+        _showRing();
+        announce(_describeCurrent());
+    }
+
+    function _onBlur() {
+        _hideRing();
+    }
+
+    function _onKeyDown(e) {
+        if (!_isOnMap(_current)) {
+            _current = _nearestToCenter();
+            _members = null;
+            if (!_current) return;
+        }
+        // The group may have been dismissed by a click, a zoom or a new query
+        if (_members && !Spiderifier.isExpanded(_current)) _members = null;
+
+        const direction = DIRECTIONS[e.key];
+        if (direction) {
+            L.DomEvent.preventDefault(e);
+            if (_members) {
+                const step = (e.key === 'ArrowRight' || e.key === 'ArrowDown') ? 1 : -1;
+                _index = (_index + step + _members.length) % _members.length;
+                Spiderifier.highlight(_members[_index]);
+                announce(_describeMember());
+            } else {
+                _move(direction[0], direction[1]);
+            }
+            return;
+        }
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            L.DomEvent.preventDefault(e);
+            if (_members) {
+                Spiderifier.openPopupFor(_members[_index]);
+            } else if (Spiderifier.groupSize(_current) > 1) {
+                _members = Spiderifier.expand(_current);
+                _index   = Math.max(0, _members.indexOf(_current));
+                Spiderifier.highlight(_members[_index]);
+                announce(_members.length + ' samples at this location. ' +
+                         'Arrow keys move between them, Enter opens one, Escape closes. ' +
+                         _describeMember());
+            } else {
+                Spiderifier.openPopupFor(_current);
+                announce('Opened details for ' + _describe(_current) + '.');
+            }
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            // Handled here, so the Spiderifier's global Escape does not also run
+            L.DomEvent.preventDefault(e);
+            _map.closePopup();
+            if (_members) {
+                Spiderifier.highlight(null);
+                Spiderifier.collapse(_current);
+                _members = null;
+                announce('Group closed. ' + _describeCurrent());
+            }
+        }
+    }
+
+    // =========================================================================
+    // Navigation
+    // =========================================================================
+
+    /**
+     * Move the cursor to the nearest visible marker in a screen direction.
+     * Members of the current overlap group are skipped.
+     */
+    function _move(dx, dy) {
+        const layer = _options.getLayer();
+        if (!layer) return;
+
+        const from = _map.latLngToContainerPoint(_current.getLatLng());
+        const size = _map.getSize();
+        const currentGroup = new Set(Spiderifier.membersOf(_current));
+
+        let best = null;
+        let bestScore = Infinity;
+
+        layer.eachLayer(function (candidate) {
+            if (currentGroup.has(candidate)) return;
+
+            const p = _map.latLngToContainerPoint(candidate.getLatLng());
+            if (p.x < 0 || p.y < 0 || p.x > size.x || p.y > size.y) return;
+
+            const along  = (p.x - from.x) * dx + (p.y - from.y) * dy;
+            if (along <= 0) return;
+            const across = Math.abs((p.x - from.x) * dy - (p.y - from.y) * dx);
+
+            const score = along + CROSS_AXIS_WEIGHT * across;
+            if (score < bestScore) {
+                bestScore = score;
+                best = candidate;
+            }
+        });
+
+        if (!best) {
+            announce('No more samples in that direction.');
+            return;
+        }
+
+        _current = best;
+        _showRing();
+        announce(_describeCurrent());
+    }
+
+    /** Visible marker closest to the map center */
+    function _nearestToCenter() {
+        const layer = _options.getLayer();
+        if (!layer) return null;
+
+        const bounds = _map.getBounds();
+        const center = _map.latLngToContainerPoint(_map.getCenter());
+
+        let best = null;
+        let bestDist = Infinity;
+        layer.eachLayer(function (candidate) {
+            const ll = candidate.getLatLng();
+            if (!bounds.contains(ll)) return;
+            const d = _map.latLngToContainerPoint(ll).distanceTo(center);
+            if (d < bestDist) {
+                bestDist = d;
+                best = candidate;
+            }
+        });
+        return best;
+    }
+
+    // =========================================================================
+    // Helpers
+    // =========================================================================
+
+    function _isOnMap(marker) {
+        const layer = _options.getLayer();
+        return !!(marker && layer && layer.hasLayer(marker));
+    }
+
+    function _describe(marker) {
+        return _options.describe(marker.feature);
+    }
+
+    function _describeCurrent() {
+        const size = Spiderifier.groupSize(_current);
+        if (size > 1) {
+            return _describe(_current) + ', one of ' + size +
+                   ' samples at this location. Press Enter to list them.';
+        }
+        return _describe(_current) + '.';
+    }
+
+    function _describeMember() {
+        return _describe(_members[_index]) + ', ' + (_index + 1) + ' of ' + _members.length + '.';
+    }
+
+    function _showRing() {
+        _hideRing();
+        _ring = L.circleMarker(_current.getLatLng(), _options.ring).addTo(_map);
+    }
+
+    function _hideRing() {
+        if (_ring) {
+            _map.removeLayer(_ring);
+            _ring = null;
+        }
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        attach,
+        announce
+    };
+
+})();
@@ -0,0 +1,475 @@
+/**
+ * Overlay Layers Module
+ *
+ * User-supplied GeoJSON files drawn as extra layers next to the samples:
+ * site polygons, ancient coastlines, rivers, culture extents. Overlays are
+ * added from dropped or chosen files, or from a URL, and are remembered in
+ * the browser between sessions.
+ *
+ * An overlay is:
+ *   { id, name, url, data, color, weight, opacity, placement, visible, addedAt }
+ *
+ *   url       - where it was loaded from, or null for a file
+ *   data      - the GeoJSON object as loaded
+ *   placement - 'below' or 'above' the sample markers (two map panes
+ *               around the overlay pane the marker canvas draws in)
+ *
+ * Overlays are stored in IndexedDB rather than localStorage like the saved
+ * views: coastline and river files easily exceed localStorage's few MB.
+ * When IndexedDB is unavailable overlays last for the page only.
+ *
+ * Overlays are drawn with SVG, whose shapes take mouse events only where
+ * they are painted. The marker canvas covers the whole map, though, and
+ * takes every event over 'below' overlays; a map click that hits no marker
+ * is therefore checked against the overlay shapes under the pointer.
+ *
+ * Features lying entirely west of the `westOf` longitude are shifted east
+ * by 360°, matching how the sample markers are drawn.
+ *
+ * Usage:
+ *   await OverlayLayers.init(map, {
+ *       westOf: -27,
+ *       onChange: function (overlays) { ... },   // summaries, see list()
+ *       onError: function (message) { ... }
+ *   });
+ *   await OverlayLayers.addFiles(input.files);
+ *   await OverlayLayers.addUrl('https://example.org/rivers.geojson');
+ *   OverlayLayers.update(id, { color: '#e31a1c', opacity: 0.5, placement: 'above', visible: false });
+ *   OverlayLayers.remove(id);
+ *
+ * Dependencies: Leaflet (L), PopupBuilder
+ */
+
+const OverlayLayers = (function () {
+
+    // =========================================================================
+    // Constants
+    // =========================================================================
+
+    const DB_NAME = 'archeogeneticmap';
+    const DB_VERSION = 1;
+    const STORE = 'overlays';
+
+    // Marker canvas is in Leaflet's overlayPane (z-index 400)
+    const PANES = {
+        below: { name: 'overlaysBelow', zIndex: 350 },
+        above: { name: 'overlaysAbove', zIndex: 450 }
+    };
+
+    const COLORS = ['#1f78b4', '#33a02c', '#e31a1c', '#ff7f00', '#6a3d9a', '#b15928'];
+
+    const POINT_RADIUS = 5;
+
+    // Polygon fill opacity relative to the overlay opacity
+    const FILL_FACTOR = 0.3;
+
+    const GEOJSON_TYPES = ['FeatureCollection', 'Feature', 'Point', 'MultiPoint', 'LineString',
+        'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+    // =========================================================================
+    // Module State
+    // =========================================================================
+
+    let _map = null;
+    let _options = null;
+    let _renderers = {};
+    let _overlays = [];        // { record, layer } in the order added
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Create the overlay panes, accept files dropped on the map and show
+     * the overlays remembered from earlier sessions
+     * @param {L.Map} map
+     * @param {Object} [options] - { westOf, onChange, onError }
+     */
+    async function init(map, options = {}) {
+        _map = map;
+        _options = Object.assign({ westOf: null, onChange: function () {}, onError: function () {} }, options);
+
+        Object.keys(PANES).forEach(function (placement) {
+            const pane = map.createPane(PANES[placement].name);
+            pane.style.zIndex = PANES[placement].zIndex;
+            _renderers[placement] = L.svg({ pane: PANES[placement].name });
+        });
+        map.on('click', _onMapClick);
+        _enableDrop(map.getContainer());
+
+        try {
+            const records = await _storeRequest('readonly', function (store) { return store.getAll(); });
+            records
+                .sort(function (a, b) { return a.addedAt - b.addedAt; })
+                .forEach(function (record) { _show(record); });
+        } catch (e) {
+            console.warn('Stored overlays unavailable:', e);
+        }
+        _changed();
+    }
+
+    /**
+     * Add each file as an overlay; failures are reported through onError
+     * @param {FileList|File[]} files
+     */
+    async function addFiles(files) {
+        for (const file of Array.from(files)) {
+            try {
+                const data = _parse(await file.text());
+                await _add(file.name.replace(/\.(geo)?json$/i, ''), data, null);
+            } catch (e) {
+                _options.onError(file.name + ': ' + e.message);
+            }
+        }
+    }
+
+    /**
+     * Fetch a GeoJSON document and add it as an overlay
+     * @param {string} url
+     * @returns {Promise<Object>} Summary of the new overlay; rejects on failure
+     */
+    async function addUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        const data = _parse(await response.text());
+        const path = new URL(url, window.location.href).pathname;
+        const name = decodeURIComponent(path.split('/').pop() || url).replace(/\.(geo)?json$/i, '');
+        return _add(name || url, data, url);
+    }
+
+    /**
+     * @returns {Array<{id: string, name: string, url: string|null, color: string,
+     *                  weight: number, opacity: number, placement: string,
+     *                  visible: boolean, featureCount: number}>}
+     */
+    function list() {
+        return _overlays.map(function (entry) {
+            const r = entry.record;
+            return {
+                id: r.id, name: r.name, url: r.url,
+                color: r.color, weight: r.weight, opacity: r.opacity,
+                placement: r.placement, visible: r.visible,
+                featureCount: entry.layer.getLayers().length
+            };
+        });
+    }
+
+    /**
+     * Change an overlay's style, placement or visibility
+     * @param {string} id
+     * @param {Object} changes - Any of name, color, weight, opacity, placement, visible
+     */
+    function update(id, changes) {
+        const entry = _find(id);
+        if (!entry) return;
+        const record = entry.record;
+        const placementChanged = changes.placement && changes.placement !== record.placement;
+        Object.assign(record, _pick(changes, ['name', 'color', 'weight', 'opacity', 'placement', 'visible']));
+        record.weight = Number(record.weight);
+        record.opacity = Number(record.opacity);
+
+        if (placementChanged) {
+            // Panes and renderers are fixed when a layer is created
+            _map.removeLayer(entry.layer);
+            entry.layer = _createLayer(record);
+        } else {
+            entry.layer.setStyle(_pathStyle(record));
+        }
+        if (record.visible) entry.layer.addTo(_map);
+        else _map.removeLayer(entry.layer);
+
+        _persist(record);
+        _changed();
+    }
+
+    function remove(id) {
+        const entry = _find(id);
+        if (!entry) return;
+        _map.removeLayer(entry.layer);
+        _overlays.splice(_overlays.indexOf(entry), 1);
+        _storeRequest('readwrite', function (store) { return store.delete(id); })
+            .catch(function (e) { console.warn('Could not forget overlay:', e); });
+        _changed();
+    }
+
+    /**
+     * Zoom the map to an overlay
+     */
+    function fitTo(id) {
+        const entry = _find(id);
+        if (!entry) return;
+        const bounds = entry.layer.getBounds();
+        if (bounds.isValid()) _map.fitBounds(bounds, { maxZoom: 12 });
+    }
+
+    // =========================================================================
+    // Overlays
+    // =========================================================================
+
+    async function _add(name, data, url) {
+        const record = {
+            id: 'overlay-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8),
+            name: name,
+            url: url,
+            data: data,
+            color: COLORS[_overlays.length % COLORS.length],
+            weight: 2,
+            opacity: 0.8,
+            placement: 'below',
+            visible: true,
+            addedAt: Date.now()
+        };
+        _show(record);
+        _changed();
+        await _persist(record);
+        return list().find(function (o) { return o.id === record.id; });
+    }
+
+    function _show(record) {
+        const entry = { record: record, layer: _createLayer(record) };
+        _overlays.push(entry);
+        if (record.visible) entry.layer.addTo(_map);
+    }
+
+    function _createLayer(record) {
+        const placement = PANES[record.placement] ? record.placement : 'below';
+        const pane = PANES[placement].name;
+        const renderer = _renderers[placement];
+
+        return L.geoJSON(_shiftWest(record.data, _options.westOf), {
+            pane: pane,
+            renderer: renderer,
+            style: function () { return _pathStyle(record); },
+            pointToLayer: function (feature, latlng) {
+                return L.circleMarker(latlng, { pane: pane, renderer: renderer, radius: POINT_RADIUS });
+            },
+            onEachFeature: function (feature, layer) {
+                const props = feature.properties || {};
+                if (Object.keys(props).length === 0) return;
+                layer.bindPopup(function () { return _popupHtml(record.name, props); });
+            }
+        });
+    }
+
+    function _pathStyle(record) {
+        return {
+            color: record.color,
+            fillColor: record.color,
+            weight: record.weight,
+            opacity: record.opacity,
+            fillOpacity: record.opacity * FILL_FACTOR
+        };
+    }
+
+    function _popupHtml(name, props) {
+        const fields = Object.keys(props).map(function (key) {
+            return {
+                key: key,
+                label: key,
+                format: function (value) { return typeof value === 'object' ? JSON.stringify(value) : value; }
+            };
+        });
+        return '<div class="overlay-popup-title">' + PopupBuilder.escapeHtml(name) + '</div>' +
+            PopupBuilder.build(props, fields, { className: 'overlay-popup' });
+    }
+
+    /**
+     * Open the popup of the topmost overlay shape under a map click. Only
+     * reached when no marker took the click (marker popups stop the event).
+     */
+    function _onMapClick(e) {
+        const event = e.originalEvent;
+        if (!event || !document.elementsFromPoint) return;
+        // Clicks place vertices while an area filter shape is drawn
+        if (L.DomUtil.hasClass(_map.getContainer(), 'shape-drawing')) return;
+
+        const elements = document.elementsFromPoint(event.clientX, event.clientY);
+        for (const element of elements) {
+            const layer = _layerForElement(element);
+            if (layer) {
+                layer.openPopup(e.latlng);
+                return;
+            }
+        }
+    }
+
+    function _layerForElement(element) {
+        for (const entry of _overlays) {
+            if (!entry.record.visible) continue;
+            const match = entry.layer.getLayers().find(function (layer) {
+                return layer.getPopup() && layer.getElement && layer.getElement() === element;
+            });
+            if (match) return match;
+        }
+        return null;
+    }
+
+    function _find(id) {
+        return _overlays.find(function (entry) { return entry.record.id === id; });
+    }
+
+    function _changed() {
+        _options.onChange(list());
+    }
+
+    // =========================================================================
+    // GeoJSON Helpers
+    // =========================================================================
+
+    /**
+     * Parse and sanity-check GeoJSON text
+     * @throws {Error} When the text is not JSON or not a GeoJSON object
+     */
+    function _parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('not valid JSON');
+        }
+        if (!data || GEOJSON_TYPES.indexOf(data.type) === -1) {
+            throw new Error('not a GeoJSON object');
+        }
+        return data;
+    }
+
+    /**
+     * Copy of the GeoJSON with features lying entirely west of `westOf`
+     * moved east by 360°
+     */
+    function _shiftWest(data, westOf) {
+        if (westOf === null || westOf === undefined) return data;
+
+        const shiftFeature = function (feature) {
+            if (!feature.geometry || _maxLongitude(feature.geometry) >= westOf) return feature;
+            return Object.assign({}, feature, { geometry: _mapGeometry(feature.geometry, _shiftPosition) });
+        };
+
+        if (data.type === 'FeatureCollection') {
+            return Object.assign({}, data, { features: (data.features || []).map(shiftFeature) });
+        }
+        if (data.type === 'Feature') return shiftFeature(data);
+        return _maxLongitude(data) < westOf ? _mapGeometry(data, _shiftPosition) : data;
+    }
+
+    function _shiftPosition(position) {
+        return [position[0] + 360].concat(position.slice(1));
+    }
+
+    function _mapGeometry(geometry, fn) {
+        if (geometry.type === 'GeometryCollection') {
+            return Object.assign({}, geometry, {
+                geometries: geometry.geometries.map(function (g) { return _mapGeometry(g, fn); })
+            });
+        }
+        const walk = function (coords) {
+            return typeof coords[0] === 'number' ? fn(coords) : coords.map(walk);
+        };
+        return Object.assign({}, geometry, { coordinates: walk(geometry.coordinates) });
+    }
+
+    function _maxLongitude(geometry) {
+        let max = -Infinity;
+        _mapGeometry(geometry, function (position) {
+            max = Math.max(max, position[0]);
+            return position;
+        });
+        return max;
+    }
+
+    // =========================================================================
+    // Drag and Drop
+    // =========================================================================
+
+    function _enableDrop(container) {
+        const hasFiles = function (e) {
+            return e.dataTransfer && Array.from(e.dataTransfer.types || []).indexOf('Files') !== -1;
+        };
+        container.addEventListener('dragover', function (e) {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            container.classList.add('overlay-drop-target');
+        });
+        container.addEventListener('dragleave', function (e) {
+            if (e.target === container) container.classList.remove('overlay-drop-target');
+        });
+        container.addEventListener('drop', function (e) {
+            container.classList.remove('overlay-drop-target');
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            addFiles(e.dataTransfer.files);
+        });
+    }
+
+    // =========================================================================
+    // Storage (IndexedDB)
+    // =========================================================================
+
+    let _dbPromise = null;
+
+    function _db() {
+        if (!_dbPromise) {
+            _dbPromise = new Promise(function (resolve, reject) {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB unavailable'));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = function () {
+                    request.result.createObjectStore(STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = function () { resolve(request.result); };
+                request.onerror = function () { reject(request.error); };
+            });
+        }
+        return _dbPromise;
+    }
+
+    /**
+     * Run one request against the overlay store
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} fn - (store) → IDBRequest
+     * @returns {Promise<*>} The request's result once the transaction completes
+     */
+    async function _storeRequest(mode, fn) {
+        const db = await _db();
+        return new Promise(function (resolve, reject) {
+            const tx = db.transaction(STORE, mode);
+            const request = fn(tx.objectStore(STORE));
+            tx.oncomplete = function () { resolve(request.result); };
+            tx.onerror = function () { reject(tx.error); };
+            tx.onabort = function () { reject(tx.error); };
+        });
+    }
+
+    function _persist(record) {
+        return _storeRequest('readwrite', function (store) { return store.put(record); })
+            .catch(function (e) {
+                console.warn('Overlay not remembered:', e);
+                _options.onError(record.name + ' is shown but could not be remembered for later sessions.');
+            });
+    }
+
+    function _pick(object, keys) {
+        const out = {};
+        keys.forEach(function (key) {
+            if (object[key] !== undefined) out[key] = object[key];
+        });
+        return out;
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        init,
+        addFiles,
+        addUrl,
+        list,
+        update,
+        remove,
+        fitTo
+    };
+
+})();
@@ -2,32 +2,45 @@
  * Piecewise Scale Module
  * 
  * Creates bidirectional mappings between a slider and data values,
- * with piecewise linear scaling to handle outliers gracefully.
+ * with piecewise scaling to handle outliers gracefully.
  * 
- * No external dependencies - uses hardcoded defaults that match server config.
+ * Modes:
+ *   piecewise → linear between breakpoints { value, position }; the data
+ *               minimum and maximum are pinned to the slider ends
+ *   log       → linear in log(value), spreading out the young end of a
+ *               range such as 500–45,000 BP
+ *   linear    → a single segment from dataMin to dataMax
+ *
+ * Options mirror the `slider` object of /api/config, so the controller can
+ * pass it straight through. Missing options fall back to defaults that match
+ * the server config.
  * 
  * Usage:
- *   const scale = PiecewiseScale.create(dataMin, dataMax, p2, p98);
+ *   const scale = PiecewiseScale.create(dataMin, dataMax, {
+ *       min: 0, max: 1000, mode: 'piecewise',
+ *       breakpoints: [{ value: p2, position: 50 }, { value: p98, position: 950 }],
+ *       invert: true                      // larger values on the left
+ *   });
  *   const sliderPos = scale.toSlider(dataValue);
  *   const dataValue = scale.toValue(sliderPos);
  *   const style = scale.rangeStyle(sliderMin, sliderMax);
+ *   const bars = scale.rebin(counts, valueMin, valueMax, 100);   // histogram in slider space
+ *
+ * No external dependencies.
  */
 
 const PiecewiseScale = (function() {
     
     // =========================================================================
-    // Default Configuration (matches server-side config.jl)
+    // Default Configuration (matches server-side map_config.jl)
     // =========================================================================
     
     const DEFAULTS = {
-        slider: {
-            min: 0,
-            max: 1000,
-            segments: {
-                leftBreak: 50,
-                rightBreak: 950
-            }
-        }
+        min: 0,
+        max: 1000,
+        mode: 'piecewise',
+        breakpoints: [],
+        invert: false
     };
     
     // =========================================================================
@@ -35,45 +48,50 @@ const PiecewiseScale = (function() {
     // =========================================================================
     
     /**
-     * Create a piecewise scale for a data range
+     * Create a scale for a data range
      * 
      * @param {number} dataMin - Absolute minimum of data
      * @param {number} dataMax - Absolute maximum of data
-     * @param {number|null} p2 - 2nd percentile value (or null for linear scale)
-     * @param {number|null} p98 - 98th percentile value (or null for linear scale)
-     * @param {Object} [segments] - Optional custom segment boundaries
+     * @param {Object} [options]
+     * @param {number} [options.min] - Slider position of the low end
+     * @param {number} [options.max] - Slider position of the high end
+     * @param {string} [options.mode] - 'piecewise' | 'log' | 'linear'
+     * @param {Array<{value: number, position: number}>} [options.breakpoints] -
+     *        Interior knots for piecewise mode (ignored by the other modes)
+     * @param {boolean} [options.invert] - Map dataMin to the slider's high end
      * @returns {Object} Scale object with toSlider, toValue, and utility methods
      */
-    function create(dataMin, dataMax, p2 = null, p98 = null, segments = null) {
-        const SLIDER_MIN = DEFAULTS.slider.min;
-        const SLIDER_MAX = DEFAULTS.slider.max;
-        const { leftBreak, rightBreak } = segments || DEFAULTS.slider.segments;
+    function create(dataMin, dataMax, options = {}) {
+        const opts = Object.assign({}, DEFAULTS, options);
+        const SLIDER_MIN = opts.min;
+        const SLIDER_MAX = opts.max;
+        
+        // Work in log space for log mode; shift so the smallest value is >= 1
+        const shift = opts.mode === 'log' && dataMin < 1 ? 1 - dataMin : 0;
+        const forward = opts.mode === 'log'
+            ? (v) => Math.log(v + shift)
+            : (v) => v;
+        const inverse = opts.mode === 'log'
+            ? (t) => Math.exp(t) - shift
+            : (t) => t;
+        
+        const knots = buildKnots(dataMin, dataMax, opts, forward);
+        const mirror = (pos) => opts.invert ? SLIDER_MIN + SLIDER_MAX - pos : pos;
         
         /**
          * Convert a data value to slider position
          */
         function toSlider(value) {
-            // Fallback to linear if percentiles not available
-            if (p2 === null || p98 === null) {
-                if (dataMax === dataMin) return SLIDER_MAX / 2;
-                return ((value - dataMin) / (dataMax - dataMin)) * SLIDER_MAX;
-            }
+            if (dataMax === dataMin) return (SLIDER_MIN + SLIDER_MAX) / 2;
             
-            if (value <= p2) {
-                // Left segment: dataMin to p2 -> 0 to leftBreak
-                if (p2 === dataMin) return leftBreak;
-                const t = (value - dataMin) / (p2 - dataMin);
-                return t * leftBreak;
-            } else if (value <= p98) {
-                // Middle segment: p2 to p98 -> leftBreak to rightBreak
-                if (p98 === p2) return (leftBreak + rightBreak) / 2;
-                const t = (value - p2) / (p98 - p2);
-                return leftBreak + t * (rightBreak - leftBreak);
-            } else {
-                // Right segment: p98 to dataMax -> rightBreak to SLIDER_MAX
-                if (dataMax === p98) return rightBreak;
-                const t = (value - p98) / (dataMax - p98);
-                return rightBreak + t * (SLIDER_MAX - rightBreak);
+            const t = forward(clamp(value));
+            for (let i = 1; i < knots.length; i++) {
+                const a = knots[i - 1], b = knots[i];
+                if (t <= b.t || i === knots.length - 1) {
+                    if (b.t === a.t) return mirror((a.position + b.position) / 2);
+                    const f = (t - a.t) / (b.t - a.t);
+                    return mirror(a.position + f * (b.position - a.position));
+                }
             }
         }
         
@@ -81,23 +99,14 @@ const PiecewiseScale = (function() {
          * Convert a slider position to data value
          */
         function toValue(sliderPos) {
-            // Fallback to linear if percentiles not available
-            if (p2 === null || p98 === null) {
-                return dataMin + (sliderPos / SLIDER_MAX) * (dataMax - dataMin);
-            }
-            
-            if (sliderPos <= leftBreak) {
-                // Left segment: 0 to leftBreak -> dataMin to p2
-                const t = sliderPos / leftBreak;
-                return dataMin + t * (p2 - dataMin);
-            } else if (sliderPos <= rightBreak) {
-                // Middle segment: leftBreak to rightBreak -> p2 to p98
-                const t = (sliderPos - leftBreak) / (rightBreak - leftBreak);
-                return p2 + t * (p98 - p2);
-            } else {
-                // Right segment: rightBreak to SLIDER_MAX -> p98 to dataMax
-                const t = (sliderPos - rightBreak) / (SLIDER_MAX - rightBreak);
-                return p98 + t * (dataMax - p98);
+            const pos = Math.min(SLIDER_MAX, Math.max(SLIDER_MIN, mirror(sliderPos)));
+            for (let i = 1; i < knots.length; i++) {
+                const a = knots[i - 1], b = knots[i];
+                if (pos <= b.position || i === knots.length - 1) {
+                    if (b.position === a.position) return inverse(a.t);
+                    const f = (pos - a.position) / (b.position - a.position);
+                    return inverse(a.t + f * (b.t - a.t));
+                }
             }
         }
         
@@ -108,14 +117,52 @@ const PiecewiseScale = (function() {
          * @returns {{left: string, width: string}}
          */
         function rangeStyle(sliderLow, sliderHigh) {
-            const leftPercent = (sliderLow / SLIDER_MAX) * 100;
-            const rightPercent = (sliderHigh / SLIDER_MAX) * 100;
+            const span = SLIDER_MAX - SLIDER_MIN;
+            const leftPercent = ((sliderLow - SLIDER_MIN) / span) * 100;
+            const rightPercent = ((sliderHigh - SLIDER_MIN) / span) * 100;
             return {
                 left: leftPercent + '%',
                 width: (rightPercent - leftPercent) + '%'
             };
         }
         
+        /**
+         * Re-bin a histogram with equal-width value bins into equal-width
+         * slider bins. Each value bin's count is spread over the slider bins
+         * its mapped extent overlaps, in proportion to the overlap.
+         *
+         * @param {number[]} counts - Counts of equal-width bins from valueMin to valueMax
+         * @param {number} valueMin - Lower edge of the first value bin
+         * @param {number} valueMax - Upper edge of the last value bin
+         * @param {number} binCount - Number of slider bins
+         * @returns {number[]} Counts per slider bin (fractional), low slider end first
+         */
+        function rebin(counts, valueMin, valueMax, binCount) {
+            const out = new Array(binCount).fill(0);
+            const valueWidth = (valueMax - valueMin) / counts.length;
+            const binWidth = (SLIDER_MAX - SLIDER_MIN) / binCount;
+            const binOf = (pos) => Math.min(binCount - 1,
+                Math.max(0, Math.floor((pos - SLIDER_MIN) / binWidth)));
+            
+            counts.forEach(function (count, i) {
+                if (!count) return;
+                let a = toSlider(valueMin + i * valueWidth);
+                let b = toSlider(valueMin + (i + 1) * valueWidth);
+                if (a > b) [a, b] = [b, a];
+                
+                if (b - a <= 0) {
+                    out[binOf(a)] += count;
+                    return;
+                }
+                for (let j = binOf(a); j <= binOf(b); j++) {
+                    const lo = Math.max(a, SLIDER_MIN + j * binWidth);
+                    const hi = Math.min(b, SLIDER_MIN + (j + 1) * binWidth);
+                    if (hi > lo) out[j] += count * (hi - lo) / (b - a);
+                }
+            });
+            return out;
+        }
+        
         /**
          * Clamp a value to the data range
          */
@@ -128,23 +175,52 @@ const PiecewiseScale = (function() {
             toSlider,
             toValue,
             rangeStyle,
+            rebin,
             clamp,
             // Expose bounds for reference
-            bounds: { dataMin, dataMax, p2, p98 },
-            sliderBounds: { min: SLIDER_MIN, max: SLIDER_MAX }
+            bounds: { dataMin, dataMax },
+            sliderBounds: { min: SLIDER_MIN, max: SLIDER_MAX },
+            mode: opts.mode
         };
     }
     
+    // =========================================================================
+    // Helpers
+    // =========================================================================
+    
+    /**
+     * Knots { t, position } in ascending order, where t is the (possibly
+     * log-transformed) value. Breakpoints outside the data range, or out of
+     * order with their neighbours, are dropped so the mapping stays monotonic.
+     */
+    function buildKnots(dataMin, dataMax, opts, forward) {
+        const knots = [{ t: forward(dataMin), position: opts.min }];
+        
+        if (opts.mode === 'piecewise') {
+            (opts.breakpoints || [])
+                .filter(bp => bp.value >= dataMin && bp.value <= dataMax
+                    && bp.position > opts.min && bp.position < opts.max)
+                .sort((a, b) => a.value - b.value)
+                .forEach(function (bp) {
+                    const last = knots[knots.length - 1];
+                    if (bp.position >= last.position) {
+                        knots.push({ t: forward(bp.value), position: bp.position });
+                    }
+                });
+        }
+        
+        knots.push({ t: forward(dataMax), position: opts.max });
+        return knots;
+    }
+    
     // =========================================================================
     // Export Public API
     // =========================================================================
     
     return {
         create,
-        // Expose constants for external reference
-        SLIDER_MIN: DEFAULTS.slider.min,
-        SLIDER_MAX: DEFAULTS.slider.max,
-        DEFAULT_SEGMENTS: DEFAULTS.slider.segments
+        // Expose defaults for external reference
+        DEFAULTS
     };
     
 })();
@@ -11,8 +11,10 @@
  *   // Custom field configuration
  *   const html = PopupBuilder.build(props, [
  *       { key: 'sample_id', label: 'Sample ID', bold: true },
- *       { key: 'average_age_calbp', label: 'Age', suffix: ' cal BP' }
+ *       { key: 'average_age_calbp', label: 'Age', format: PopupBuilder.formatters.age }
  *   ]);
+ *
+ * Dependencies: DateFormat (ages follow the chosen cal BP / BCE-CE unit)
  */
 
 const PopupBuilder = (function() {
@@ -41,8 +43,7 @@ const PopupBuilder = (function() {
         { 
             key: 'average_age_calbp', 
             label: 'Age', 
-            suffix: ' cal BP',
-            format: (v) => typeof v === 'number' ? v.toLocaleString() : v
+            format: (v, props) => formatAge(v, props)
         },
         { 
             key: 'culture', 
@@ -70,6 +71,24 @@ const PopupBuilder = (function() {
     // Formatting Utilities
     // =========================================================================
     
+    /**
+     * Format an age with its date range when the sample has one,
+     * e.g. "3,051 BCE (3,251–2,851 BCE)"
+     * @param {*} value - average_age_calbp
+     * @param {Object} [props] - Feature properties (age_lower_calbp, age_upper_calbp)
+     * @returns {string}
+     */
+    function formatAge(value, props = {}) {
+        if (typeof value !== 'number') return value;
+        const lower = props.age_lower_calbp;
+        const upper = props.age_upper_calbp;
+        if (typeof lower !== 'number' || typeof upper !== 'number' || lower === upper) {
+            return DateFormat.format(value);
+        }
+        return DateFormat.format(value) + ' ('
+            + DateFormat.formatRange(Math.max(lower, upper), Math.min(lower, upper)) + ')';
+    }
+    
     /**
      * Escape HTML special characters to prevent XSS
      * @param {string} text - Raw text
@@ -200,6 +219,12 @@ const PopupBuilder = (function() {
          */
         number: (v) => typeof v === 'number' ? v.toLocaleString() : v,
         
+        /**
+         * Format a cal BP age in the current DateFormat unit, with the
+         * sample's date range when props carry one
+         */
+        age: formatAge,
+        
         /**
          * Format a number with fixed decimal places
          */
@@ -0,0 +1,446 @@
+/**
+ * Private Samples Module
+ *
+ * A CSV of unpublished samples read in the browser and drawn as a separate
+ * marker layer over the published data. The file never leaves the page:
+ * nothing is sent to the server and nothing is stored, so the layer lasts
+ * until the page is closed.
+ *
+ * Columns are resolved like the GeoPackage maker's `resolve_columns`, from
+ * the candidates served as `csvColumns` in /api/config: each column set is
+ * tried in order, exact names before case-insensitive ones, and the first
+ * set resolving sample ID, latitude and longitude is used. Rows missing any
+ * of those or with out-of-range coordinates are skipped.
+ *
+ * Samples are matched against a /api/query payload (buildQueryPayload) with
+ * the server's rules for the date window and mode, culture, Y-haplogroup,
+ * mtDNA and Y-haplotree filters. The source and area filters do not apply.
+ * Markers take their fill from the published legend of the active colorBy
+ * (or the age ramp) and keep their own outline color.
+ *
+ * Usage:
+ *   const loaded = PrivateSamples.load(csvText, config.csvColumns);
+ *   // { samples: [{ id, lat, lon, props }], columns: { sample_id: 'Sample ID', ... }, skipped: 3 }
+ *
+ *   const layer = PrivateSamples.create({ outlineColor: '#e6007e' }).addTo(map);
+ *   layer.setSamples(loaded.samples);
+ *   const shown = layer.update(payload, {
+ *       colorBy: 'culture', legend: meta.cultureLegend,
+ *       ageRange: meta.ageColorRange, rampColors: [...], defaultColor: '#808080',
+ *       toLatLng: function (sample) { return [sample.lat, sample.lon]; }
+ *   });
+ *
+ * Dependencies: Leaflet (L), PopupBuilder, ColorUtils
+ */
+
+const PrivateSamples = (function () {
+
+    // =========================================================================
+    // Constants
+    // =========================================================================
+
+    const REQUIRED_COLUMNS = ['sample_id', 'latitude', 'longitude'];
+
+    // Property each optional column fills (ages are parsed as numbers)
+    const PROPERTY_COLUMNS = {
+        y_haplogroup: 'y_haplogroup',
+        mtdna: 'mtdna',
+        culture: 'culture',
+        average_age: 'average_age_calbp',
+        y_haplotree: 'y_haplotree',
+        source: 'source',
+        age_lower: 'age_lower_calbp',
+        age_upper: 'age_upper_calbp'
+    };
+
+    const AGE_PROPERTIES = ['average_age_calbp', 'age_lower_calbp', 'age_upper_calbp'];
+
+    // Candidate delimiters, detected from the header line
+    const DELIMITERS = [',', ';', '\t'];
+
+    // Above the published markers (overlayPane, 400), below popups. Drawn
+    // with SVG: a canvas here would cover the map and take every mouse
+    // event from the published marker canvas underneath.
+    const PANE = { name: 'privateSamples', zIndex: 420 };
+
+    // =========================================================================
+    // CSV Parsing
+    // =========================================================================
+
+    /**
+     * Split CSV text into rows of cells. Handles quoted cells with embedded
+     * delimiters, quotes ("") and line breaks, CRLF line ends and a BOM.
+     * The delimiter is whichever of , ; or tab occurs most in the first line.
+     * @param {string} text
+     * @returns {string[][]}
+     */
+    function parseCsv(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = DELIMITERS.reduce(function (best, d) {
+            return firstLine.split(d).length > firstLine.split(best).length ? d : best;
+        }, DELIMITERS[0]);
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    cell += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += c;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Blank lines are not rows
+        return rows.filter(function (r) { return r.length > 1 || r[0].trim() !== ''; });
+    }
+
+    /**
+     * Best matching header for a list of candidates: exact matches first,
+     * then case-insensitive ones (as find_column)
+     * @returns {string|null}
+     */
+    function findColumn(header, candidates) {
+        for (const candidate of candidates) {
+            if (header.indexOf(candidate) !== -1) return candidate;
+        }
+        for (const candidate of candidates) {
+            const lower = candidate.toLowerCase();
+            const match = header.find(function (col) { return col.toLowerCase() === lower; });
+            if (match !== undefined) return match;
+        }
+        return null;
+    }
+
+    /**
+     * Resolve CSV headers against the column sets from /api/config
+     * @param {string[]} header
+     * @param {Array<Object<string, string[]>>} configs - config.csvColumns
+     * @returns {Object<string, string|null>} Header per field (sample_id, latitude, ...)
+     * @throws {Error} When no set resolves the required columns
+     */
+    function resolveColumns(header, configs) {
+        let cols = null;
+        for (const config of configs) {
+            cols = {};
+            Object.keys(config).forEach(function (field) {
+                cols[field] = findColumn(header, config[field]);
+            });
+            if (REQUIRED_COLUMNS.every(function (field) { return cols[field]; })) return cols;
+        }
+
+        const missing = REQUIRED_COLUMNS.filter(function (field) { return !cols || !cols[field]; });
+        throw new Error('Could not find ' + missing.join(', ').replace(/_/g, ' ') +
+            ' column. Available columns: ' + header.join(', '));
+    }
+
+    /**
+     * Samples from parsed rows (header first), skipping rows without a sample
+     * ID or valid coordinates
+     * @returns {{samples: Array<{id: string, lat: number, lon: number, props: Object}>, skipped: number}}
+     */
+    function buildSamples(rows, cols) {
+        const header = rows[0];
+        const index = {};
+        Object.keys(cols).forEach(function (field) {
+            index[field] = cols[field] === null ? -1 : header.indexOf(cols[field]);
+        });
+        const cell = function (row, field) {
+            const i = index[field];
+            const value = i >= 0 && i < row.length ? row[i].trim() : '';
+            return value === '' ? null : value;
+        };
+
+        const samples = [];
+        let skipped = 0;
+
+        rows.slice(1).forEach(function (row) {
+            const sampleId = cell(row, 'sample_id');
+            const lat = _parseNumber(cell(row, 'latitude'));
+            const lon = _parseNumber(cell(row, 'longitude'));
+            if (sampleId === null || lat === null || lon === null ||
+                lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+                skipped++;
+                return;
+            }
+
+            const props = { sample_id: sampleId };
+            Object.keys(PROPERTY_COLUMNS).forEach(function (field) {
+                const key = PROPERTY_COLUMNS[field];
+                const value = cell(row, field);
+                props[key] = AGE_PROPERTIES.indexOf(key) !== -1 ? _parseNumber(value) : value;
+            });
+
+            samples.push({ id: 'private-' + samples.length, lat: lat, lon: lon, props: props });
+        });
+
+        return { samples: samples, skipped: skipped };
+    }
+
+    /**
+     * Parse CSV text into samples
+     * @param {string} text
+     * @param {Array<Object<string, string[]>>} configs - config.csvColumns
+     * @returns {{samples: Array, columns: Object, skipped: number}}
+     * @throws {Error} When the file has no rows or its columns cannot be resolved
+     */
+    function load(text, configs) {
+        const rows = parseCsv(text);
+        if (rows.length < 2) throw new Error('the file has no data rows');
+        rows[0] = rows[0].map(function (h) { return h.trim(); });
+        const columns = resolveColumns(rows[0], configs);
+        const built = buildSamples(rows, columns);
+        return { samples: built.samples, columns: columns, skipped: built.skipped };
+    }
+
+    function _parseNumber(value) {
+        if (value === null) return null;
+        const n = Number(value);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    // =========================================================================
+    // Filtering (mirrors filters.jl)
+    // =========================================================================
+
+    /**
+     * Whether a sample passes the filters of a /api/query payload
+     * @param {Object} props - Sample properties
+     * @param {Object} payload - buildQueryPayload() result
+     * @returns {boolean}
+     */
+    function matches(props, payload) {
+        return _passesDate(props, payload) &&
+            _passesSelection(props.culture, payload.cultureFilterActive,
+                payload.selectedCultures, payload.includeNoCulture) &&
+            _passesSelection(props.y_haplogroup, payload.yHaplogroupFilterActive,
+                payload.selectedYHaplogroups, payload.includeNoYHaplogroup) &&
+            _passesSelection(props.mtdna, payload.mtdnaFilterActive,
+                payload.selectedMtdna, payload.includeNoMtdna) &&
+            _passesHaplotree(props.y_haplotree, payload.yHaplotreeTerms || []);
+    }
+
+    /**
+     * As passes_date_filter: the date range (lower, mid, upper) against the
+     * window, by mode; undated samples follow includeUndated
+     */
+    function _passesDate(props, payload) {
+        const mid = props.average_age_calbp;
+        if (typeof mid !== 'number') return payload.includeUndated !== false;
+
+        const a = typeof props.age_lower_calbp === 'number' ? props.age_lower_calbp : mid;
+        const b = typeof props.age_upper_calbp === 'number' ? props.age_upper_calbp : mid;
+        const lower = Math.min(a, b);
+        const upper = Math.max(a, b);
+
+        let lowTest = mid;
+        let highTest = mid;
+        if (payload.dateMode === 'overlaps') {
+            lowTest = upper;
+            highTest = lower;
+        } else if (payload.dateMode === 'contains') {
+            lowTest = lower;
+            highTest = upper;
+        }
+
+        if (typeof payload.dateMin === 'number' && lowTest < payload.dateMin) return false;
+        if (typeof payload.dateMax === 'number' && highTest > payload.dateMax) return false;
+        return true;
+    }
+
+    /**
+     * As apply_filter: inactive → pass; missing value → includeMissing;
+     * otherwise the value must be selected
+     */
+    function _passesSelection(value, active, selected, includeMissing) {
+        if (!active) return true;
+        if (value === null || value === undefined) return !!includeMissing;
+        return (selected || []).indexOf(value) !== -1;
+    }
+
+    /**
+     * As apply_y_haplotree_filter: any term equals a node of the path
+     */
+    function _passesHaplotree(path, terms) {
+        if (terms.length === 0) return true;
+        if (!path) return false;
+        const tokens = _pathTokens(path);
+        return terms.some(function (term) { return tokens.indexOf(term.toLowerCase()) !== -1; });
+    }
+
+    function _pathTokens(path) {
+        return path.split('>').map(function (tok) { return tok.trim().toLowerCase(); });
+    }
+
+    // =========================================================================
+    // Colors (mirrors assign_colors!)
+    // =========================================================================
+
+    /**
+     * Fill color of a sample under the published coloring
+     * @param {Object} props - Sample properties
+     * @param {Object} options - { colorBy, legend, ageRange, rampColors, defaultColor }
+     * @returns {string}
+     */
+    function colorFor(props, options) {
+        const legend = options.legend || [];
+
+        switch (options.colorBy) {
+            case 'age': {
+                const age = props.average_age_calbp;
+                const range = options.ageRange;
+                if (typeof age !== 'number' || !range) return options.defaultColor;
+                const span = range.max - range.min;
+                // t=0 for the oldest (range.max), as color_for_age
+                return ColorUtils.rampColor(options.rampColors, span === 0 ? 0.5 : (range.max - age) / span);
+            }
+            case 'y_haplotree': {
+                if (!props.y_haplotree) return options.defaultColor;
+                const tokens = _pathTokens(props.y_haplotree);
+                const item = legend.find(function (entry) {
+                    return tokens.indexOf(entry.name.toLowerCase()) !== -1;
+                });
+                return item ? item.color : options.defaultColor;
+            }
+            case 'culture':
+            case 'y_haplogroup':
+            case 'mtdna': {
+                const value = props[options.colorBy];
+                const item = legend.find(function (entry) { return entry.name === value; });
+                return item ? item.color : options.defaultColor;
+            }
+            default:
+                return options.defaultColor;
+        }
+    }
+
+    // =========================================================================
+    // Layer
+    // =========================================================================
+
+    const PrivateLayer = L.FeatureGroup.extend({
+
+        options: {
+            outlineColor: '#e6007e',
+            radius: 7,
+            weight: 2.5,
+            fillOpacity: 0.8
+        },
+
+        initialize: function (options) {
+            L.FeatureGroup.prototype.initialize.call(this, []);
+            L.setOptions(this, options);
+            this._samples = [];
+            this._renderer = null;
+        },
+
+        onAdd: function (map) {
+            if (!map.getPane(PANE.name)) {
+                map.createPane(PANE.name).style.zIndex = PANE.zIndex;
+            }
+            if (!this._renderer) this._renderer = L.svg({ pane: PANE.name });
+            L.FeatureGroup.prototype.onAdd.call(this, map);
+        },
+
+        /**
+         * @param {Array<{id, lat, lon, props}>} samples - From load()
+         */
+        setSamples: function (samples) {
+            this._samples = samples;
+            this.clearLayers();
+            return this;
+        },
+
+        /**
+         * Show the samples passing the payload's filters
+         * @param {Object} payload - buildQueryPayload() result
+         * @param {Object} colors - colorFor() options plus toLatLng(sample)
+         * @returns {number} Samples shown
+         */
+        update: function (payload, colors) {
+            this.clearLayers();
+            const options = this.options;
+            const renderer = this._renderer;
+
+            const shown = this._samples.filter(function (sample) { return matches(sample.props, payload); });
+            shown.forEach(function (sample) {
+                L.circleMarker(colors.toLatLng(sample), {
+                    pane: PANE.name,
+                    renderer: renderer,
+                    radius: options.radius,
+                    color: options.outlineColor,
+                    weight: options.weight,
+                    fillColor: colorFor(sample.props, colors),
+                    fillOpacity: options.fillOpacity
+                })
+                    .bindPopup(function () { return _popupHtml(sample.props); })
+                    .addTo(this);
+            }, this);
+            return shown.length;
+        },
+
+        setOutlineColor: function (color) {
+            this.options.outlineColor = color;
+            this.setStyle({ color: color });
+            return this;
+        }
+    });
+
+    function _popupHtml(props) {
+        return '<div class="private-popup-title">Private sample (local CSV)</div>' +
+            PopupBuilder.build(props);
+    }
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Create an empty private sample layer
+     * @param {Object} [options] - { outlineColor, radius, weight, fillOpacity }
+     * @returns {L.FeatureGroup}
+     */
+    function create(options) {
+        return new PrivateLayer(options);
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        load,
+        parseCsv,
+        resolveColumns,
+        matches,
+        colorFor,
+        create
+    };
+
+})();
@@ -0,0 +1,149 @@
+/**
+ * Sample Store Module
+ *
+ * Client-side cache of full sample properties, filled through the batch
+ * endpoint POST /api/samples/batch. The slim /api/query features only carry
+ * { id, lon, lat, color }, so everything shown in popups comes from here.
+ *
+ * Requests made in the same tick are coalesced into one batch request (split
+ * into chunks of at most batchSize ids), and properties are kept for the rest
+ * of the session — sample properties do not change while the server runs.
+ *
+ * Usage:
+ *   SampleStore.configure({ batchSize: config.limits.sampleBatchSize });
+ *   SampleStore.get(id).then(function (props) { ... });   // null if unknown
+ *   SampleStore.prefetch(ids);                              // warm the cache
+ *
+ * No external dependencies.
+ */
+
+const SampleStore = (function () {
+
+    // =========================================================================
+    // Module State
+    // =========================================================================
+
+    const _cache   = new Map();    // id → properties (or null when not found)
+    const _pending = new Map();    // id → Promise for a request in flight
+    let   _queue   = [];           // { id, resolve, reject } awaiting the next batch
+    let   _timer   = null;
+
+    // =========================================================================
+    // Default Options
+    // =========================================================================
+
+    const DEFAULTS = {
+        endpoint  : '/api/samples/batch',
+        batchSize : 200,
+        // Milliseconds to wait for more ids before sending a batch
+        batchDelay: 10
+    };
+
+    let _options = Object.assign({}, DEFAULTS);
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Override default options (endpoint, batchSize, batchDelay)
+     * @param {Object} options
+     */
+    function configure(options) {
+        _options = Object.assign({}, DEFAULTS, options);
+    }
+
+    /**
+     * Get full properties for one sample
+     * @param {string} id - sample_id
+     * @returns {Promise<Object|null>} Properties, or null if the server does not know the id
+     */
+    function get(id) {
+        if (_cache.has(id))   return Promise.resolve(_cache.get(id));
+        if (_pending.has(id)) return _pending.get(id);
+
+        const promise = new Promise(function (resolve, reject) {
+            _queue.push({ id, resolve, reject });
+        });
+        _pending.set(id, promise);
+        _schedule();
+        return promise;
+    }
+
+    /**
+     * Load properties for many samples ahead of time. Ids already cached or
+     * in flight are skipped; failures are ignored (get() retries later).
+     * @param {string[]} ids
+     */
+    function prefetch(ids) {
+        ids.forEach(function (id) {
+            get(id).catch(function () {});
+        });
+    }
+
+    /**
+     * Cached properties without triggering a request
+     * @param {string} id
+     * @returns {Object|null|undefined} undefined when not cached yet
+     */
+    function peek(id) {
+        return _cache.get(id);
+    }
+
+    // =========================================================================
+    // Batching
+    // =========================================================================
+
+    function _schedule() {
+        if (_timer) return;
+        _timer = setTimeout(_flush, _options.batchDelay);
+    }
+
+    function _flush() {
+        const queued = _queue;
+        _queue = [];
+        _timer = null;
+
+        for (let i = 0; i < queued.length; i += _options.batchSize) {
+            _request(queued.slice(i, i + _options.batchSize));
+        }
+    }
+
+    function _request(entries) {
+        fetch(_options.endpoint, {
+            method : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body   : JSON.stringify({ ids: entries.map(function (e) { return e.id; }) })
+        })
+            .then(function (r) { return r.json(); })
+            .then(function (data) {
+                if (data.error) throw new Error(data.message);
+
+                entries.forEach(function (entry) {
+                    const props = data.samples[entry.id] || null;
+                    _cache.set(entry.id, props);
+                    _pending.delete(entry.id);
+                    entry.resolve(props);
+                });
+            })
+            .catch(function (err) {
+                // Nothing is cached, so a later get() retries
+                entries.forEach(function (entry) {
+                    _pending.delete(entry.id);
+                    entry.reject(err);
+                });
+            });
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        configure,
+        get,
+        prefetch,
+        peek
+    };
+
+})();
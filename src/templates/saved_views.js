@@ -0,0 +1,163 @@
+/**
+ * Saved Views Module
+ *
+ * Stores named filter states in the browser (localStorage) and moves them in
+ * and out of JSON files so colleagues can share them.
+ *
+ * A saved view is:
+ *   { name, state, view, savedAt }
+ *
+ *   state   - the /api/query payload from buildQueryPayload(), restored with
+ *             the same applyQueryState() used for permalinks
+ *   view    - Leaflet view { lat, lng, zoom }, or null
+ *   savedAt - ISO timestamp
+ *
+ * File format:
+ *   { "format": "archeogeneticmap-views", "version": 1, "views": [ ... ] }
+ *
+ * Usage:
+ *   SavedViews.save('Corded Ware R1a', payload, view);
+ *   SavedViews.list();                      // sorted by name
+ *   SavedViews.remove('Corded Ware R1a');
+ *   const json = SavedViews.toJson();
+ *   const added = SavedViews.fromJson(text);   // throws on invalid files
+ *
+ * No external dependencies.
+ */
+
+const SavedViews = (function () {
+
+    // =========================================================================
+    // Constants
+    // =========================================================================
+
+    const STORAGE_KEY  = 'archeogeneticmap.savedViews';
+    const FILE_FORMAT  = 'archeogeneticmap-views';
+    const FILE_VERSION = 1;
+
+    // =========================================================================
+    // Storage Helpers
+    // =========================================================================
+
+    /**
+     * Read all views from localStorage
+     * @returns {Object[]} Empty when nothing is stored or storage is unavailable
+     */
+    function _load() {
+        try {
+            const views = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(views) ? views.filter(_isValid) : [];
+        } catch (e) {
+            console.warn('Ignoring unreadable saved views:', e);
+            return [];
+        }
+    }
+
+    function _store(views) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+    }
+
+    function _isValid(view) {
+        return !!view
+            && typeof view.name === 'string' && view.name.trim() !== ''
+            && !!view.state && typeof view.state === 'object';
+    }
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * @returns {Object[]} All saved views, sorted by name
+     */
+    function list() {
+        return _load().sort(function (a, b) {
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Save a view under a name, replacing any view with the same name
+     * @param {string} name
+     * @param {Object} state - Query payload
+     * @param {Object|null} view - { lat, lng, zoom }
+     */
+    function save(name, state, view) {
+        const trimmed = name.trim();
+        const views = _load().filter(function (v) { return v.name !== trimmed; });
+        views.push({
+            name   : trimmed,
+            state  : state,
+            view   : view || null,
+            savedAt: new Date().toISOString()
+        });
+        _store(views);
+    }
+
+    /**
+     * Delete a saved view by name
+     * @param {string} name
+     */
+    function remove(name) {
+        _store(_load().filter(function (v) { return v.name !== name; }));
+    }
+
+    /**
+     * Serialize all saved views as a shareable JSON document
+     * @returns {string}
+     */
+    function toJson() {
+        return JSON.stringify({
+            format : FILE_FORMAT,
+            version: FILE_VERSION,
+            views  : list()
+        }, null, 2);
+    }
+
+    /**
+     * Merge views from a JSON document produced by toJson(). Imported views
+     * replace saved views of the same name.
+     * @param {string} text
+     * @returns {number} Number of views imported
+     * @throws {Error} When the text is not a saved-views file
+     */
+    function fromJson(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+        if (!doc || doc.format !== FILE_FORMAT || !Array.isArray(doc.views)) {
+            throw new Error('File does not contain saved views');
+        }
+
+        const imported = doc.views.filter(_isValid);
+        const names = new Set(imported.map(function (v) { return v.name.trim(); }));
+        const views = _load().filter(function (v) { return !names.has(v.name); });
+
+        imported.forEach(function (v) {
+            views.push({
+                name   : v.name.trim(),
+                state  : v.state,
+                view   : v.view || null,
+                savedAt: v.savedAt || new Date().toISOString()
+            });
+        });
+        _store(views);
+        return imported.length;
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        list,
+        save,
+        remove,
+        toJson,
+        fromJson
+    };
+
+})();
@@ -0,0 +1,273 @@
+/**
+ * Shape Drawer Module
+ *
+ * Lets the user draw a rectangle, polygon or circle on the Leaflet map and
+ * reports it as a plain shape object in the format /api/query expects for
+ * its spatialFilter entry (coordinates are [lon, lat], as in GeoJSON):
+ *
+ *   { type: 'rectangle', bounds: [minLon, minLat, maxLon, maxLat] }
+ *   { type: 'polygon',   coordinates: [[lon, lat], ...] }
+ *   { type: 'circle',    center: [lon, lat], radius: metres }
+ *
+ * Interaction:
+ *   RECTANGLE / CIRCLE → press, drag, release
+ *   POLYGON            → click to add vertices; double-click or click the
+ *                        first vertex to finish
+ *   ESC                → cancel the shape in progress
+ *
+ * Usage:
+ *   ShapeDrawer.start(map, 'polygon', function (shape) { ... }, function () { ... });
+ *   ShapeDrawer.cancel();
+ *   const layer = ShapeDrawer.toLayer(shape);   // display a saved shape
+ *
+ * Dependencies: Leaflet (L)
+ */
+
+const ShapeDrawer = (function () {
+
+    // =========================================================================
+    // Module State
+    // =========================================================================
+
+    let _map        = null;
+    let _type       = null;
+    let _onComplete = null;
+    let _onCancel   = null;
+    let _preview    = null;    // Leaflet layer showing the shape in progress
+    let _start      = null;    // Drag start latlng (rectangle / circle)
+    let _vertices   = [];      // Clicked vertices (polygon)
+
+    // Map interactions suspended while drawing, restored on finish
+    let _suspended  = [];
+
+    // =========================================================================
+    // Default Options
+    // =========================================================================
+
+    const STYLE = {
+        color       : '#007bff',
+        weight      : 2,
+        opacity     : 0.9,
+        fillColor   : '#007bff',
+        fillOpacity : 0.08,
+        dashArray   : '6,4',
+        interactive : false
+    };
+
+    // Pixel distance to the first vertex that closes a polygon
+    const CLOSE_TOLERANCE = 10;
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Begin drawing a shape. Any drawing already in progress is cancelled.
+     *
+     * @param {L.Map}    map        - The Leaflet map
+     * @param {string}   type       - 'rectangle' | 'polygon' | 'circle'
+     * @param {Function} onComplete - Called with the shape object when finished
+     * @param {Function} [onCancel] - Called when the user aborts with Escape
+     */
+    function start(map, type, onComplete, onCancel) {
+        cancel();
+
+        _map        = map;
+        _type       = type;
+        _onComplete = onComplete;
+        _onCancel   = onCancel || null;
+
+        _suspend('dragging');
+        _suspend('doubleClickZoom');
+        L.DomUtil.addClass(_map.getContainer(), 'shape-drawing');
+
+        _map.on('mousedown', _onMouseDown);
+        _map.on('mousemove', _onMouseMove);
+        _map.on('mouseup',   _onMouseUp);
+        _map.on('click',     _onClick);
+        _map.on('dblclick',  _onDoubleClick);
+        document.addEventListener('keydown', _onKeyDown);
+    }
+
+    /**
+     * Abort the shape in progress without reporting it
+     */
+    function cancel() {
+        if (!_map) return;
+
+        _map.off('mousedown', _onMouseDown);
+        _map.off('mousemove', _onMouseMove);
+        _map.off('mouseup',   _onMouseUp);
+        _map.off('click',     _onClick);
+        _map.off('dblclick',  _onDoubleClick);
+        document.removeEventListener('keydown', _onKeyDown);
+
+        if (_preview) _map.removeLayer(_preview);
+        L.DomUtil.removeClass(_map.getContainer(), 'shape-drawing');
+        _suspended.forEach(function (handler) { handler.enable(); });
+
+        _map        = null;
+        _type       = null;
+        _onComplete = null;
+        _onCancel   = null;
+        _preview    = null;
+        _start      = null;
+        _vertices   = [];
+        _suspended  = [];
+    }
+
+    /**
+     * @returns {boolean} Whether a shape is currently being drawn
+     */
+    function isDrawing() {
+        return _map !== null;
+    }
+
+    /**
+     * Build a non-interactive Leaflet layer that displays a shape object
+     *
+     * @param {Object} shape   - Shape in the /api/query spatialFilter format
+     * @param {Object} [style] - Optional path style overrides
+     * @returns {L.Layer|null} null for unrecognised shapes
+     */
+    function toLayer(shape, style) {
+        const opts = Object.assign({}, STYLE, { dashArray: null }, style);
+
+        if (shape.type === 'rectangle') {
+            const b = shape.bounds;
+            return L.rectangle([[b[1], b[0]], [b[3], b[2]]], opts);
+        }
+        if (shape.type === 'polygon') {
+            return L.polygon(shape.coordinates.map(function (c) {
+                return [c[1], c[0]];
+            }), opts);
+        }
+        if (shape.type === 'circle') {
+            return L.circle([shape.center[1], shape.center[0]],
+                Object.assign({ radius: shape.radius }, opts));
+        }
+        return null;
+    }
+
+    // =========================================================================
+    // Event Handlers
+    // =========================================================================
+
+    function _onMouseDown(e) {
+        if (_type === 'polygon') return;
+        _start = e.latlng;
+    }
+
+    function _onMouseMove(e) {
+        if (_type === 'polygon') {
+            if (_vertices.length === 0) return;
+            _setPreview(L.polyline(_vertices.concat([e.latlng]), STYLE));
+            return;
+        }
+        if (!_start) return;
+
+        if (_type === 'rectangle') {
+            _setPreview(L.rectangle(L.latLngBounds(_start, e.latlng), STYLE));
+        } else if (_type === 'circle') {
+            _setPreview(L.circle(_start,
+                Object.assign({ radius: _map.distance(_start, e.latlng) }, STYLE)));
+        }
+    }
+
+    function _onMouseUp(e) {
+        if (_type === 'polygon' || !_start) return;
+
+        const start = _start;
+        _start = null;
+
+        // A click without a drag is not a usable shape
+        const startPx = _map.latLngToContainerPoint(start);
+        if (startPx.distanceTo(e.containerPoint) < 3) {
+            if (_preview) _map.removeLayer(_preview);
+            _preview = null;
+            return;
+        }
+
+        if (_type === 'rectangle') {
+            const b = L.latLngBounds(start, e.latlng);
+            _finish({
+                type  : 'rectangle',
+                bounds: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()]
+            });
+        } else if (_type === 'circle') {
+            _finish({
+                type  : 'circle',
+                center: [start.lng, start.lat],
+                radius: _map.distance(start, e.latlng)
+            });
+        }
+    }
+
+    function _onClick(e) {
+        if (_type !== 'polygon') return;
+
+        // Clicking the first vertex closes the ring
+        if (_vertices.length >= 3) {
+            const firstPx = _map.latLngToContainerPoint(_vertices[0]);
+            if (firstPx.distanceTo(e.containerPoint) <= CLOSE_TOLERANCE) {
+                _finishPolygon();
+                return;
+            }
+        }
+
+        _vertices.push(e.latlng);
+        _setPreview(L.polyline(_vertices, STYLE));
+    }
+
+    function _onDoubleClick() {
+        // The double-click's own clicks already added the final vertex (twice)
+        if (_type !== 'polygon') return;
+        _vertices.pop();
+        _finishPolygon();
+    }
+
+    function _onKeyDown(e) {
+        if (e.key !== 'Escape') return;
+        const onCancel = _onCancel;
+        cancel();
+        if (onCancel) onCancel();
+    }
+
+    // =========================================================================
+    // Helpers
+    // =========================================================================
+
+    function _finishPolygon() {
+        if (_vertices.length < 3) return;
+        _finish({
+            type       : 'polygon',
+            coordinates: _vertices.map(function (ll) { return [ll.lng, ll.lat]; })
+        });
+    }
+
+    function _finish(shape) {
+        const onComplete = _onComplete;
+        cancel();
+        if (onComplete) onComplete(shape);
+    }
+
+    function _setPreview(layer) {
+        if (_preview) _map.removeLayer(_preview);
+        _preview = layer.addTo(_map);
+    }
+
+    function _suspend(name) {
+        const handler = _map[name];
+        if (handler && handler.enabled()) {
+            handler.disable();
+            _suspended.push(handler);
+        }
+    }
+
+    // =========================================================================
+    // Export
+    // =========================================================================
+
+    return { start, cancel, isDrawing, toLayer };
+
+})();
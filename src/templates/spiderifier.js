@@ -10,14 +10,41 @@
  *
  * Multiple clusters can be locked simultaneously and are fully independent.
  *
+ * Keyboard:
+ *   ESC → dismisses all locked spiders
+ *   Summary popup rows are links: TAB / ↑ / ↓ move between them, ENTER opens
+ *   the sample, ESC dismisses the popup
+ *   expand() / highlight() / openPopupFor() / collapse() let a keyboard
+ *   navigator (MarkerKeyboard) drive spiders without a pointer.
+ *
  * Overlap detection:
  *   - Exact lat/lon match: always grouped
  *   - Pixel proximity at current zoom: grouped when within pixelRadius px
+ *   - Grid-bucketed (cell size = pixelRadius), so each marker is only compared
+ *     with markers in the 3×3 neighbouring cells — close to linear in n
+ *   - Only markers inside the viewport plus a margin (viewportPad) are grouped;
+ *     panning beyond that margin triggers a regroup
+ *
+ * Solo-marker popups are bound lazily on first click rather than up front.
+ *
+ * Group origins (originStyle option):
+ *   null    → members are drawn as stacked circles (only the top one visible)
+ *   'pie'   → a pie chart split by the members' marker colors is drawn on top
+ *   'donut' → the same as a ring, with the member count in the middle
+ *   Origins take the hover / click of the group like its markers do.
  *
  * Usage:
  *   Spiderifier.attach(map, dataLayer, options);
+ *   Spiderifier.refresh();  // after markers were added to / removed from dataLayer
+ *   Spiderifier.restyle();  // after markers were recolored in place
+ *   Spiderifier.expand(layer);        // lock open the group containing layer
+ *   Spiderifier.highlight(layer);     // mark one member of an open group
+ *   Spiderifier.openPopupFor(layer);  // open the sample popup for a marker
  *   Spiderifier.detach();   // call before removing/replacing dataLayer
  *
+ * Marker events are delegated to dataLayer (an L.FeatureGroup), so markers
+ * added later need no per-marker wiring.
+ *
  * Dependencies: Leaflet (L), PopupBuilder
  */
 
@@ -39,11 +66,20 @@ const Spiderifier = (function () {
     let _groups = [];
 
     // Active spiders: Map from group → SpiderState
-    // SpiderState = { spokesLayerGroup, summaryPopup, locked, dismissTimer }
+    // SpiderState = { spokesLayerGroup, tips, summaryPopup, locked, dismissTimer }
+    // tips = Array of { tip, layer } pairing each spoke tip with its marker
     let _spiders = new Map();
 
+    // Padded viewport the current groups were computed for
+    let _groupedBounds = null;
+
+    // Pie / donut markers drawn over group origins (originStyle option)
+    let _originLayer = null;
+
     // Bound map-level handlers
     let _onZoomEnd = null;
+    let _onMoveEnd = null;
+    let _onKeyDown = null;
 
     // =========================================================================
     // Default Options
@@ -61,13 +97,82 @@ const Spiderifier = (function () {
         },
         dismissDelay     : 150,
         markerRadius     : 5,
+        // Margin around the viewport, as a fraction of its size, in which
+        // markers are grouped. Panning within the margin needs no regroup.
+        viewportPad      : 0.5,
         // Async function (id: string) => Promise<string> that returns popup HTML.
         // Must be provided by the caller; defaults to a stub that shows an error.
         fetchPopupContent: function (id) {
             return Promise.resolve(PopupBuilder.buildError('fetchPopupContent not configured'));
-        }
+        },
+        // Optional function (ids: string[]) => void, called when a group
+        // expands so the caller can load all of its samples in one request.
+        prefetch         : null,
+        // Function (feature: {id, color}) => string used as the accessible
+        // label of a sample (summary popup rows)
+        describe         : function (feature) {
+            return 'Sample ' + feature.id;
+        },
+        // Group origin marker: null, 'pie' or 'donut'
+        originStyle      : null
     };
 
+    // =========================================================================
+    // Origin Marker
+    // =========================================================================
+
+    /**
+     * Circle marker drawn as a pie of the group's member colors. Only the
+     * canvas renderer can paint several colors in one path; under SVG it
+     * falls back to a plain circle in the dominant color.
+     */
+    const OriginMarker = L.CircleMarker.extend({
+        _updatePath: function () {
+            const renderer = this._renderer;
+            if (!(renderer instanceof L.Canvas)) {
+                L.CircleMarker.prototype._updatePath.call(this);
+                return;
+            }
+            if (!renderer._drawing || this._empty()) return;
+
+            const ctx    = renderer._ctx;
+            const p      = this._point;
+            const r      = Math.max(Math.round(this._radius), 1);
+            const slices = _slicesOf(this.group);
+            const total  = this.group.layers.length;
+
+            let start = -Math.PI / 2;
+            slices.forEach(function (slice) {
+                const end = start + 2 * Math.PI * slice.count / total;
+                ctx.beginPath();
+                ctx.moveTo(p.x, p.y);
+                ctx.arc(p.x, p.y, r, start, end);
+                ctx.closePath();
+                ctx.fillStyle = slice.color;
+                ctx.fill();
+                start = end;
+            });
+
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, r, 0, 2 * Math.PI);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth   = 1.5;
+            ctx.stroke();
+
+            if (this.options.donut) {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, r * 0.55, 0, 2 * Math.PI);
+                ctx.fillStyle = '#ffffff';
+                ctx.fill();
+                ctx.fillStyle    = '#212529';
+                ctx.font         = 'bold ' + Math.max(7, Math.round(r * 0.7)) + 'px sans-serif';
+                ctx.textAlign    = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(String(total), p.x, p.y);
+            }
+        }
+    });
+
     // =========================================================================
     // Public API
     // =========================================================================
@@ -82,15 +187,15 @@ const Spiderifier = (function () {
                 options && options.spokeLength)
         });
 
+        // Before grouping, which renders the group origins into it
+        if (_options.originStyle) _originLayer = L.layerGroup().addTo(_map);
+
         _buildLayerFeatureMap();
         _rebuildGroups();
-        _bindSoloPopups();
 
-        _dataLayer.eachLayer(function (layer) {
-            layer.on('mouseover', _onMarkerMouseover);
-            layer.on('mouseout',  _onMarkerMouseout);
-            layer.on('click',     _onMarkerClick);
-        });
+        _dataLayer.on('mouseover', _onMarkerMouseover);
+        _dataLayer.on('mouseout',  _onMarkerMouseout);
+        _dataLayer.on('click',     _onMarkerClick);
 
         _onZoomEnd = function () {
             // Dismiss all unlocked spiders; keep locked ones in place
@@ -98,9 +203,25 @@ const Spiderifier = (function () {
                 if (!state.locked) _dismissGroup(group);
             });
             _rebuildGroups();
-            _bindSoloPopups();  // re-evaluate which markers are solo at new zoom
+        };
+        _onMoveEnd = function () {
+            // zoomend already regrouped for the new view; plain pans only
+            // regroup once they leave the padded area grouped last time
+            if (_groupedBounds && _groupedBounds.contains(_map.getBounds())) return;
+            _rebuildGroups();
+        };
+        _onKeyDown = function (e) {
+            if (e.key !== 'Escape' || e.defaultPrevented) return;
+            // Leave Escape alone while the user is typing in a form field
+            const tag = e.target && e.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+            _spiders.forEach(function (state, group) {
+                if (state.locked) _dismissGroup(group);
+            });
         };
         _map.on('zoomend', _onZoomEnd);
+        _map.on('moveend', _onMoveEnd);
+        document.addEventListener('keydown', _onKeyDown);
     }
 
     function detach() {
@@ -110,54 +231,190 @@ const Spiderifier = (function () {
         _spiders.clear();
 
         if (_dataLayer) {
-            _dataLayer.eachLayer(function (layer) {
-                layer.off('mouseover', _onMarkerMouseover);
-                layer.off('mouseout',  _onMarkerMouseout);
-                layer.off('click',     _onMarkerClick);
-            });
+            _dataLayer.off('mouseover', _onMarkerMouseover);
+            _dataLayer.off('mouseout',  _onMarkerMouseout);
+            _dataLayer.off('click',     _onMarkerClick);
         }
 
         if (_map && _onZoomEnd) {
             _map.off('zoomend', _onZoomEnd);
+            _map.off('moveend', _onMoveEnd);
+        }
+        if (_map && _originLayer) _map.removeLayer(_originLayer);
+        if (_onKeyDown) {
+            document.removeEventListener('keydown', _onKeyDown);
         }
 
         _map             = null;
         _dataLayer       = null;
         _layerFeatureMap = new Map();
         _groups          = [];
+        _groupedBounds   = null;
+        _originLayer     = null;
         _onZoomEnd       = null;
+        _onMoveEnd       = null;
+        _onKeyDown       = null;
     }
 
-    // =========================================================================
-    // Group Detection
-    // =========================================================================
+    /**
+     * Regroup after markers were added to or removed from the data layer.
+     * Open spiders whose members are unchanged stay open; others are dismissed.
+     */
+    function refresh() {
+        if (!_map) return;
 
-    function _buildLayerFeatureMap() {
-        _layerFeatureMap = new Map();
-        _dataLayer.eachLayer(function (layer) {
-            if (layer.feature) _layerFeatureMap.set(layer, layer.feature);
+        _buildLayerFeatureMap();
+        _rebuildGroups();
+    }
+
+    /**
+     * Repaint open spiders after markers were recolored in place.
+     * Groups are unchanged, so spiders (locked or hovered) stay open.
+     */
+    function restyle() {
+        if (_originLayer) {
+            _originLayer.eachLayer(function (origin) { origin.redraw(); });
+        }
+        _spiders.forEach(function (state, group) {
+            if (state.tips) {
+                state.tips.forEach(function (entry) {
+                    const color = _colorOf(entry.layer);
+                    entry.tip.setStyle({ fillColor: color, color: color });
+                });
+            }
+            if (state.summaryPopup) {
+                const el = state.summaryPopup.getElement();
+                if (!el) return;
+                group.layers.forEach(function (layer, i) {
+                    const dot = el.querySelector(
+                        '.spider-popup-row[data-idx="' + i + '"] .spider-popup-dot');
+                    if (dot) dot.style.background = _colorOf(layer);
+                });
+            }
         });
     }
 
     /**
-     * Bind popups to solo markers (not part of any cluster).
-     * Cluster origin markers intentionally get no popup — click only locks spokes.
-     * Popups are populated asynchronously when opened to avoid fetching content
-     * for markers the user never clicks.
+     * Show and lock the spider of the group containing a marker.
+     * @param {L.CircleMarker} layer
+     * @returns {L.CircleMarker[]|null} Group members in spoke / row order,
+     *          or null when the marker is not part of a group
      */
-    function _bindSoloPopups() {
-        _dataLayer.eachLayer(function (layer) {
-            layer.unbindPopup();
+    function expand(layer) {
+        const group = layer._spiderGroup;
+        if (!group) return null;
 
-            if (!layer._spiderGroup) {
-                const feature = _layerFeatureMap.get(layer);
-                if (feature) {
-                    _bindAsyncPopup(layer, feature.id);
-                }
+        const state = _spiders.get(group);
+        if (state) {
+            if (state.dismissTimer) {
+                clearTimeout(state.dismissTimer);
+                state.dismissTimer = null;
+            }
+            state.locked = true;
+        } else {
+            _showGroup(group, true);
+        }
+        return group.layers;
+    }
+
+    /**
+     * Dismiss the spider of the group containing a marker (if open)
+     * @param {L.CircleMarker} layer
+     */
+    function collapse(layer) {
+        if (layer._spiderGroup) _dismissGroup(layer._spiderGroup);
+    }
+
+    /**
+     * Mark one member of an open spider: its spoke tip gets a dark outline, or
+     * its summary row is highlighted and scrolled into view. Pass null to clear.
+     * @param {L.CircleMarker|null} layer
+     */
+    function highlight(layer) {
+        _spiders.forEach(function (state, group) {
+            if (state.tips) {
+                state.tips.forEach(function (entry) {
+                    const active = entry.layer === layer;
+                    entry.tip.setStyle({
+                        weight: active ? 3 : 1,
+                        color : active ? '#212529' : _colorOf(entry.layer)
+                    });
+                    if (active) entry.tip.bringToFront();
+                });
+            }
+            if (state.summaryPopup) {
+                const el = state.summaryPopup.getElement();
+                if (!el) return;
+                group.layers.forEach(function (member, i) {
+                    const row = el.querySelector('.spider-popup-row[data-idx="' + i + '"]');
+                    if (!row) return;
+                    row.classList.toggle('spider-popup-row-active', member === layer);
+                    if (member === layer) row.scrollIntoView({ block: 'nearest' });
+                });
             }
         });
     }
 
+    /**
+     * Open the sample popup for a marker: at its spoke tip when its spider is
+     * showing spokes, at the marker for summary rows, or as a solo popup.
+     * @param {L.CircleMarker} layer
+     */
+    function openPopupFor(layer) {
+        const group = layer._spiderGroup;
+        if (!group) {
+            if (layer.getPopup()) layer.openPopup();
+            else _openSoloPopup(layer);
+            return;
+        }
+
+        const state = _spiders.get(group);
+        if (state && state.tips) {
+            const entry = state.tips.find(function (t) { return t.layer === layer; });
+            if (entry) {
+                entry.tip.openPopup();
+                return;
+            }
+        }
+        _openMemberPopup(layer);
+    }
+
+    /**
+     * @param {L.CircleMarker} layer
+     * @returns {boolean} Whether the spider of the marker's group is showing
+     */
+    function isExpanded(layer) {
+        return !!layer._spiderGroup && _spiders.has(layer._spiderGroup);
+    }
+
+    /**
+     * @param {L.CircleMarker} layer
+     * @returns {L.CircleMarker[]} All markers sharing the marker's spot
+     *          (just the marker itself when solo)
+     */
+    function membersOf(layer) {
+        return layer._spiderGroup ? layer._spiderGroup.layers : [layer];
+    }
+
+    /**
+     * @param {L.CircleMarker} layer
+     * @returns {number} Number of samples sharing the marker's spot (1 when solo)
+     */
+    function groupSize(layer) {
+        return membersOf(layer).length;
+    }
+
+    // =========================================================================
+    // Group Detection
+    // =========================================================================
+
+    function _buildLayerFeatureMap() {
+        _layerFeatureMap = new Map();
+        _dataLayer.eachLayer(function (layer) {
+            if (layer.feature) _layerFeatureMap.set(layer, layer.feature);
+        });
+    }
+
     /**
      * Bind a popup to a layer that fetches its content on first open.
      * Shows a loading state immediately, then fills in the real content.
@@ -172,7 +429,9 @@ const Spiderifier = (function () {
 
         let fetched = false;
 
-        layer.on('popupopen', function () {
+        // A marker is bound again after leaving a group; drop the previous handler
+        if (layer._spiderPopupOpen) layer.off('popupopen', layer._spiderPopupOpen);
+        layer._spiderPopupOpen = function () {
             if (fetched) return;
             popup.setContent(PopupBuilder.buildLoading());
             _options.fetchPopupContent(id).then(function (html) {
@@ -182,59 +441,185 @@ const Spiderifier = (function () {
                 popup.setContent(PopupBuilder.buildError());
                 console.error('Popup fetch failed for', id, err);
             });
-        });
+        };
+        layer.on('popupopen', layer._spiderPopupOpen);
     }
 
+    /**
+     * Recompute overlap groups for markers in the padded viewport.
+     *
+     * Markers are bucketed into a grid of pixelRadius-sized cells, so each one
+     * is only compared with markers in the 3×3 neighbouring cells. Markers at
+     * exactly the same pixel are unioned directly and kept out of the buckets,
+     * which keeps large same-site clusters from degrading into pairwise checks.
+     *
+     * Open spiders whose members still form exactly one group keep their group
+     * object (and so stay open); the rest are dismissed.
+     */
     function _rebuildGroups() {
-        const allLayers = [];
-        _dataLayer.eachLayer(function (l) { allLayers.push(l); });
+        const bounds = _map.getBounds().pad(_options.viewportPad);
+        _groupedBounds = bounds;
+
+        const layers = [];
+        const pts    = [];
+        _dataLayer.eachLayer(function (l) {
+            l._spiderGroup = null;
+            const ll = l.getLatLng();
+            if (!bounds.contains(ll)) return;
+            layers.push(l);
+            pts.push(_map.latLngToLayerPoint(ll));
+        });
 
         // Union-Find
-        const parent = allLayers.map((_, i) => i);
+        const parent = layers.map((_, i) => i);
         function find(i) {
             while (parent[i] !== i) { parent[i] = parent[parent[i]]; i = parent[i]; }
             return i;
         }
         function union(i, j) { parent[find(i)] = find(j); }
 
-        const pts = allLayers.map(l => _map.latLngToLayerPoint(l.getLatLng()));
-        const r   = _options.pixelRadius;
+        const r     = _options.pixelRadius;
+        const r2    = r * r;
+        const cells = new Map();   // "cx:cy" → indices of distinct points in the cell
+        const exact = new Map();   // "x:y"   → first index at that exact pixel
 
-        for (let i = 0; i < allLayers.length; i++) {
-            for (let j = i + 1; j < allLayers.length; j++) {
-                const dx = pts[i].x - pts[j].x;
-                const dy = pts[i].y - pts[j].y;
-                if (dx * dx + dy * dy <= r * r) union(i, j);
+        pts.forEach(function (p, i) {
+            const pixelKey = p.x + ':' + p.y;
+            if (exact.has(pixelKey)) {
+                union(i, exact.get(pixelKey));
+                return;
+            }
+            exact.set(pixelKey, i);
+
+            const cx = Math.floor(p.x / r);
+            const cy = Math.floor(p.y / r);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const bucket = cells.get((cx + dx) + ':' + (cy + dy));
+                    if (!bucket) continue;
+                    for (let k = 0; k < bucket.length; k++) {
+                        const j  = bucket[k];
+                        const ddx = p.x - pts[j].x;
+                        const ddy = p.y - pts[j].y;
+                        if (ddx * ddx + ddy * ddy <= r2) union(i, j);
+                    }
+                }
             }
-        }
+
+            const cellKey = cx + ':' + cy;
+            if (!cells.has(cellKey)) cells.set(cellKey, []);
+            cells.get(cellKey).push(i);
+        });
 
         const groupMap = new Map();
-        allLayers.forEach(function (layer, i) {
+        layers.forEach(function (layer, i) {
             const root = find(i);
             if (!groupMap.has(root)) groupMap.set(root, []);
             groupMap.get(root).push(layer);
         });
 
+        // Keep open spiders whose membership is unchanged
+        const indexOf = new Map();
+        layers.forEach(function (layer, i) { indexOf.set(layer, i); });
+        const reused = new Map();   // root → existing group object
+        _spiders.forEach(function (state, group) {
+            const first = indexOf.get(group.layers[0]);
+            const root  = first === undefined ? undefined : find(first);
+            const same  = root !== undefined
+                && groupMap.get(root).length === group.layers.length
+                && group.layers.every(function (l) {
+                    const i = indexOf.get(l);
+                    return i !== undefined && find(i) === root;
+                });
+            if (same) reused.set(root, group);
+            else _dismissGroup(group);
+        });
+
         _groups = [];
-        groupMap.forEach(function (layers) {
-            if (layers.length >= 2) {
-                const group = { latlng: layers[0].getLatLng(), layers };
+        groupMap.forEach(function (members, root) {
+            if (members.length >= 2) {
+                const group = reused.get(root) || { latlng: members[0].getLatLng(), layers: members };
                 _groups.push(group);
-                layers.forEach(l => { l._spiderGroup = group; });
-            } else {
-                layers[0]._spiderGroup = null;
+                group.layers.forEach(l => {
+                    l._spiderGroup = group;
+                    // Grouped markers open their spider, never their own popup
+                    if (l.getPopup()) l.unbindPopup();
+                });
             }
         });
+
+        _renderOrigins();
+    }
+
+    /**
+     * Redraw the pie / donut markers for the current groups (drawn after the
+     * markers, so they sit on top and receive the group's pointer events)
+     */
+    function _renderOrigins() {
+        if (!_originLayer) return;
+
+        _originLayer.clearLayers();
+        _groups.forEach(function (group) {
+            const n = group.layers.length;
+            const origin = new OriginMarker(group.latlng, {
+                radius   : _options.markerRadius + 3 + Math.min(6, Math.log2(n)),
+                weight   : 2,    // room for the outline in the canvas redraw bounds
+                fillColor: _slicesOf(group)[0].color,
+                donut    : _options.originStyle === 'donut'
+            });
+            origin.group = group;
+            origin.on('mouseover', function () { _hoverGroup(group); });
+            origin.on('mouseout',  function () { _unhoverGroup(group); });
+            origin.on('click', function (e) {
+                L.DomEvent.stopPropagation(e);
+                _toggleGroup(group);
+            });
+            _originLayer.addLayer(origin);
+        });
+    }
+
+    /**
+     * Open the popup of a marker that is not part of any group, binding it on
+     * first use.
+     */
+    function _openSoloPopup(layer) {
+        // Once bound, Leaflet's own click handler opens the popup
+        if (layer.getPopup()) return;
+
+        const feature = _layerFeatureMap.get(layer);
+        if (!feature) return;
+        _bindAsyncPopup(layer, feature.id);
+        layer.openPopup();
     }
 
     // =========================================================================
     // Marker Event Handlers
     // =========================================================================
 
+    // Events are delegated from dataLayer; e.propagatedFrom is the marker
     function _onMarkerMouseover(e) {
-        const group = e.target._spiderGroup;
-        if (!group) return;
+        const group = e.propagatedFrom._spiderGroup;
+        if (group) _hoverGroup(group);
+    }
+
+    function _onMarkerMouseout(e) {
+        const group = e.propagatedFrom._spiderGroup;
+        if (group) _unhoverGroup(group);
+    }
+
+    function _onMarkerClick(e) {
+        L.DomEvent.stopPropagation(e);
 
+        const group = e.propagatedFrom._spiderGroup;
+        if (!group) {
+            _openSoloPopup(e.propagatedFrom);
+            return;
+        }
+        _toggleGroup(group);
+    }
+
+    // Shared by group members and their origin marker
+    function _hoverGroup(group) {
         const state = _spiders.get(group);
         if (state) {
             // Already showing — cancel any pending dismiss
@@ -249,10 +634,7 @@ const Spiderifier = (function () {
         _showGroup(group, false);
     }
 
-    function _onMarkerMouseout(e) {
-        const group = e.target._spiderGroup;
-        if (!group) return;
-
+    function _unhoverGroup(group) {
         const state = _spiders.get(group);
         if (!state || state.locked) return;  // locked → mouseout does nothing
 
@@ -262,12 +644,7 @@ const Spiderifier = (function () {
         }, _options.dismissDelay);
     }
 
-    function _onMarkerClick(e) {
-        L.DomEvent.stopPropagation(e);
-
-        const group = e.target._spiderGroup;
-        if (!group) return;
-
+    function _toggleGroup(group) {
         const state = _spiders.get(group);
 
         if (state && state.locked) {
@@ -294,6 +671,15 @@ const Spiderifier = (function () {
     // =========================================================================
 
     function _showGroup(group, locked) {
+        if (_options.prefetch) {
+            const ids = [];
+            group.layers.forEach(function (layer) {
+                const feature = _layerFeatureMap.get(layer);
+                if (feature) ids.push(feature.id);
+            });
+            _options.prefetch(ids);
+        }
+
         const count = group.layers.length;
         if (count >= _options.clusterThreshold) {
             _showSummaryPopup(group, locked);
@@ -334,6 +720,7 @@ const Spiderifier = (function () {
 
         const angleStep   = (2 * Math.PI) / n;
         const spokeLayers = [];
+        const tips        = [];
 
         layers.forEach(function (markerLayer, i) {
             const angle = i * angleStep - Math.PI / 2;
@@ -348,7 +735,7 @@ const Spiderifier = (function () {
 
             // Tip marker — keeps original server-assigned color
             const feature = _layerFeatureMap.get(markerLayer);
-            const color   = (feature && feature.color) || '#e41a1c';
+            const color   = _colorOf(markerLayer);
 
             const tip = L.circleMarker(tipLL, {
                 radius      : _options.markerRadius,
@@ -377,12 +764,14 @@ const Spiderifier = (function () {
             });
 
             spokeLayers.push(line, tip);
+            tips.push({ tip: tip, layer: markerLayer });
         });
 
         const spokesLayerGroup = L.layerGroup(spokeLayers).addTo(_map);
 
         _spiders.set(group, {
             spokesLayerGroup,
+            tips,
             summaryPopup : null,
             locked,
             dismissTimer : null
@@ -419,18 +808,21 @@ const Spiderifier = (function () {
         layers.forEach(function (markerLayer, i) {
             const feature  = _layerFeatureMap.get(markerLayer);
             const sampleId = (feature && feature.id) || ('Sample ' + (i + 1));
-            const color    = (feature && feature.color) || '#e41a1c';
+            const color    = _colorOf(markerLayer);
             const dot      = '<span class="spider-popup-dot" '
                            + 'style="background:' + _escapeHtml(color) + '"></span>';
+            const label    = feature ? _options.describe(feature) : String(sampleId);
             rows += '<tr class="spider-popup-row" data-idx="' + i + '">'
-                  + '<td class="spider-popup-dot-cell">' + dot + '</td>'
-                  + '<td><a href="#" class="spider-popup-link">'
+                  + '<td class="spider-popup-dot-cell" aria-hidden="true">' + dot + '</td>'
+                  + '<td><a href="#" class="spider-popup-link" aria-label="'
+                  + _escapeHtml(label + ' (' + (i + 1) + ' of ' + n + ')') + '">'
                   + _escapeHtml(String(sampleId))
                   + '</a></td>'
                   + '</tr>';
         });
 
-        const html = '<div class="spider-popup">'
+        const html = '<div class="spider-popup" role="dialog" aria-label="'
+                   + n + ' samples at this location">'
                    + '<div class="spider-popup-header">' + n + ' samples at this location</div>'
                    + '<div class="spider-popup-scroll">'
                    + '<table class="spider-popup-table"><tbody>' + rows + '</tbody></table>'
@@ -452,6 +844,7 @@ const Spiderifier = (function () {
 
         _spiders.set(group, {
             spokesLayerGroup : null,
+            tips             : null,
             summaryPopup     : popup,
             locked,
             dismissTimer     : null
@@ -465,6 +858,8 @@ const Spiderifier = (function () {
                 : document.querySelector('.spider-summary-popup');
             if (!contentEl) return;
 
+            const links = Array.from(contentEl.querySelectorAll('.spider-popup-link'));
+
             contentEl.querySelectorAll('.spider-popup-row').forEach(function (row) {
                 row.addEventListener('click', function (e) {
                     e.preventDefault();
@@ -472,31 +867,73 @@ const Spiderifier = (function () {
 
                     const idx         = parseInt(row.getAttribute('data-idx'), 10);
                     const targetLayer = layers[idx];
-                    if (!targetLayer) return;
-
-                    const feature = _layerFeatureMap.get(targetLayer);
-                    if (feature) {
-                        const popup = L.popup()
-                            .setLatLng(targetLayer.getLatLng())
-                            .setContent(PopupBuilder.buildLoading())
-                            .openOn(_map);
-
-                        _options.fetchPopupContent(feature.id).then(function (html) {
-                            popup.setContent(html);
-                        }).catch(function (err) {
-                            popup.setContent(PopupBuilder.buildError());
-                            console.error('Popup fetch failed for', feature.id, err);
-                        });
+                    if (targetLayer) _openMemberPopup(targetLayer);
+                });
+            });
+
+            // Arrow keys move between rows; Escape dismisses the whole popup
+            links.forEach(function (link, i) {
+                link.addEventListener('keydown', function (e) {
+                    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                        e.preventDefault();
+                        const next = links[(i + (e.key === 'ArrowDown' ? 1 : -1) + links.length) % links.length];
+                        next.focus();
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        _dismissGroup(group);
+                        _map.getContainer().focus();
                     }
                 });
             });
         }, 50);
     }
 
+    /**
+     * Open a standalone popup for one group member at its marker position
+     * (used by summary popup rows)
+     */
+    function _openMemberPopup(targetLayer) {
+        const feature = _layerFeatureMap.get(targetLayer);
+        if (!feature) return;
+
+        const popup = L.popup()
+            .setLatLng(targetLayer.getLatLng())
+            .setContent(PopupBuilder.buildLoading())
+            .openOn(_map);
+
+        _options.fetchPopupContent(feature.id).then(function (html) {
+            popup.setContent(html);
+        }).catch(function (err) {
+            popup.setContent(PopupBuilder.buildError());
+            console.error('Popup fetch failed for', feature.id, err);
+        });
+    }
+
     // =========================================================================
     // Utilities
     // =========================================================================
 
+    /** Current server-assigned color of a marker layer */
+    function _colorOf(layer) {
+        const feature = _layerFeatureMap.get(layer);
+        return (feature && feature.color) || '#e41a1c';
+    }
+
+    /**
+     * Member colors of a group with their counts, most frequent first
+     * @returns {Array<{color: string, count: number}>}
+     */
+    function _slicesOf(group) {
+        const counts = new Map();
+        group.layers.forEach(function (layer) {
+            const color = _colorOf(layer);
+            counts.set(color, (counts.get(color) || 0) + 1);
+        });
+        return Array.from(counts, function (entry) {
+            return { color: entry[0], count: entry[1] };
+        }).sort(function (a, b) { return b.count - a.count; });
+    }
+
     function _escapeHtml(text) {
         return text
             .replace(/&/g, '&amp;')
@@ -510,6 +947,18 @@ const Spiderifier = (function () {
     // Export
     // =========================================================================
 
-    return { attach, detach };
+    return {
+        attach,
+        detach,
+        refresh,
+        restyle,
+        expand,
+        collapse,
+        highlight,
+        openPopupFor,
+        isExpanded,
+        membersOf,
+        groupSize
+    };
 
 })();
@@ -59,8 +59,23 @@ end
 # Note: config.js removed - config now fetched via /api/config
 const JS_MODULES = [
     "piecewise_scale.js",  # Slider scaling (uses config from server)
+    "date_format.js",      # cal BP / BCE-CE date display
+    "color_utils.js",      # Ramp interpolation for client-colored layers
     "popup_builder.js",    # Popup HTML generation
+    "sample_store.js",     # Cached, batched sample property fetching
     "spiderifier.js",      # Overlapping marker spiderfication
+    "marker_keyboard.js",  # Keyboard / screen-reader navigation of markers
+    "url_state.js",        # Permalink encoding of filters and map view
+    "saved_views.js",      # Named saved views in localStorage, JSON import/export
+    "shape_drawer.js",     # Rectangle / polygon / circle drawing for the area filter
+    "compare_view.js",     # Swipe comparison of a pinned filter state
+    "heatmap_layer.js",    # Kernel-density display mode
+    "hexbin_layer.js",     # Hexagonal bin display mode
+    "haplotree_browser.js", # Y-haplotree picker rows
+    "map_legend.js",       # On-map legend control
+    "figure_export.js",    # PNG / SVG figure export
+    "overlay_layers.js",   # User GeoJSON overlays
+    "private_samples.js",  # Client-side CSV sample layer
     "map_app.js"           # Main application
 ]
 
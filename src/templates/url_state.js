@@ -0,0 +1,154 @@
+/**
+ * URL State Module
+ *
+ * Encodes the current filter state and map view into the URL hash so a view
+ * can be shared as a permalink, and decodes it again when the page loads.
+ *
+ * Hash format:
+ *   #map=<zoom>/<lat>/<lng>&q=<state>
+ *
+ *   map - Leaflet view, coordinates rounded to 4 decimals (~10 m)
+ *   q   - the /api/query payload as UTF-8 JSON, base64url encoded so
+ *         culture names with diacritics and '>' haplotree paths survive
+ *
+ * Either part may be absent; missing parts fall back to the server defaults.
+ *
+ * Usage:
+ *   UrlState.write(payload, { lat, lng, zoom });  // replaces current entry
+ *   const shared = UrlState.read();               // { state, view } or null
+ *
+ * No external dependencies.
+ */
+
+const UrlState = (function () {
+
+    // =========================================================================
+    // Encoding Helpers
+    // =========================================================================
+
+    /**
+     * Encode an object as base64url JSON (UTF-8 safe)
+     * @param {Object} obj
+     * @returns {string}
+     */
+    function encodeState(obj) {
+        const bytes = new TextEncoder().encode(JSON.stringify(obj));
+        let binary = '';
+        bytes.forEach(function (b) { binary += String.fromCharCode(b); });
+        return btoa(binary)
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a base64url JSON string produced by encodeState
+     * @param {string} text
+     * @returns {Object|null} Decoded object, or null if the text is malformed
+     */
+    function decodeState(text) {
+        try {
+            let b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+            while (b64.length % 4) b64 += '=';
+            const binary = atob(b64);
+            const bytes  = Uint8Array.from(binary, function (c) { return c.charCodeAt(0); });
+            const obj    = JSON.parse(new TextDecoder().decode(bytes));
+            return (obj && typeof obj === 'object') ? obj : null;
+        } catch (e) {
+            console.warn('Ignoring malformed state in URL:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Format a map view as "zoom/lat/lng"
+     * @param {{lat: number, lng: number, zoom: number}} view
+     * @returns {string}
+     */
+    function formatView(view) {
+        return view.zoom + '/' + view.lat.toFixed(4) + '/' + view.lng.toFixed(4);
+    }
+
+    /**
+     * Parse a "zoom/lat/lng" string
+     * @param {string} text
+     * @returns {{lat: number, lng: number, zoom: number}|null}
+     */
+    function parseView(text) {
+        const parts = text.split('/').map(Number);
+        if (parts.length !== 3 || parts.some(function (n) { return !isFinite(n); })) {
+            return null;
+        }
+        return { zoom: parts[0], lat: parts[1], lng: parts[2] };
+    }
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Build a hash string (without leading '#') from a payload and view
+     * @param {Object|null} payload - Query payload from buildQueryPayload()
+     * @param {Object|null} view - { lat, lng, zoom }
+     * @returns {string}
+     */
+    function build(payload, view) {
+        const parts = [];
+        if (view) parts.push('map=' + formatView(view));
+        if (payload) parts.push('q=' + encodeState(payload));
+        return parts.join('&');
+    }
+
+    /**
+     * Parse a hash string into { state, view }
+     * @param {string} hash - With or without the leading '#'
+     * @returns {{state: Object|null, view: Object|null}|null} null if the hash is empty
+     */
+    function parse(hash) {
+        const text = (hash || '').replace(/^#/, '');
+        if (!text) return null;
+
+        const params = new URLSearchParams(text);
+        const state  = params.has('q')   ? decodeState(params.get('q'))  : null;
+        const view   = params.has('map') ? parseView(params.get('map'))  : null;
+
+        if (!state && !view) return null;
+        return { state, view };
+    }
+
+    /**
+     * Read shared state from the current location hash
+     * @returns {{state: Object|null, view: Object|null}|null}
+     */
+    function read() {
+        return parse(window.location.hash);
+    }
+
+    /**
+     * Write state into the location hash without adding a history entry.
+     * replaceState does not fire 'hashchange', so this never re-triggers a restore.
+     * @param {Object|null} payload
+     * @param {Object|null} view
+     */
+    function write(payload, view) {
+        const hash = '#' + build(payload, view);
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    // =========================================================================
+    // Export Public API
+    // =========================================================================
+
+    return {
+        build,
+        parse,
+        read,
+        write,
+        // Exposed for reuse by other modules that serialize state
+        encodeState,
+        decodeState
+    };
+
+})();
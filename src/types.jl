@@ -8,8 +8,9 @@ Core data structures for archaeological map visualization.
 # Uses: DEFAULT_PADDING, DEFAULT_ZOOM, DEFAULT_POINT_COLOR, DEFAULT_POINT_RADIUS,
 #       DEFAULT_TILE_URL, DEFAULT_TILE_ATTRIBUTION
 
-export MapBounds, MapSettings, MapConfig, DateStatistics, CultureStatistics, TilePreset, TILE_PRESETS
+export MapBounds, MapSettings, MapConfig, DateStatistics, CultureStatistics, TilePreset, TILE_PRESETS, TILE_PRESET_ORDER
 export ColorRamp, AbstractSelectionFilter, CultureFilter, YHaplogroupFilter, MtdnaFilter, YHaplotreeFilter, FilterRequest, FilterMeta, QueryResponse
+export AbstractShape, RectangleShape, PolygonShape, CircleShape, SpatialFilter
 export is_missing_value, has_value, property_key
 
 # =============================================================================
@@ -60,8 +61,9 @@ Configuration for map display and styling.
 - `initial_zoom`: Starting zoom level (1-18)
 - `point_color`: CSS color for markers
 - `point_radius`: Marker radius in pixels
-- `tile_url`: URL template for tile server
+- `tile_url`: URL template for tile server (the basemap shown first)
 - `tile_attribution`: Attribution text for tiles
+- `tile_dir`: Directory of locally hosted tiles served at /tiles, or "" for none
 """
 struct MapSettings
     padding::Float64
@@ -70,6 +72,7 @@ struct MapSettings
     point_radius::Int
     tile_url::String
     tile_attribution::String
+    tile_dir::String
 end
 
 """
@@ -83,9 +86,10 @@ function MapSettings(;
     point_color::String = DEFAULT_POINT_COLOR,
     point_radius::Int = DEFAULT_POINT_RADIUS,
     tile_url::String = DEFAULT_TILE_URL,
-    tile_attribution::String = DEFAULT_TILE_ATTRIBUTION
+    tile_attribution::String = DEFAULT_TILE_ATTRIBUTION,
+    tile_dir::String = DEFAULT_TILE_DIR
 )
-    MapSettings(padding, initial_zoom, point_color, point_radius, tile_url, tile_attribution)
+    MapSettings(padding, initial_zoom, point_color, point_radius, tile_url, tile_attribution, tile_dir)
 end
 
 """
@@ -125,6 +129,11 @@ const TILE_PRESETS = Dict{Symbol, TilePreset}(
     )
 )
 
+"""
+Order of the tile presets in the basemap switcher.
+"""
+const TILE_PRESET_ORDER = [:osm, :topo, :humanitarian, :dark]
+
 """
     MapSettings(preset::Symbol; kwargs...)
 
@@ -352,6 +361,74 @@ end
 # Default constructor
 YHaplotreeFilter() = YHaplotreeFilter(String[])
 
+# =============================================================================
+# Spatial Filter Types
+# =============================================================================
+
+"""
+    AbstractShape
+
+Abstract supertype for shapes drawn on the map and used as spatial constraints.
+
+Subtypes must implement `contains_point(shape, lon, lat)` (see geometry.jl),
+which is all `apply_spatial_filter` needs — adding a new shape requires no
+changes to the filter code.
+
+All coordinates are in degrees, longitude first, matching GeoJSON order.
+"""
+abstract type AbstractShape end
+
+"""
+    RectangleShape
+
+Axis-aligned longitude/latitude box.
+"""
+struct RectangleShape <: AbstractShape
+    min_lon::Float64
+    min_lat::Float64
+    max_lon::Float64
+    max_lat::Float64
+end
+
+"""
+    PolygonShape
+
+Simple polygon given by its vertices as `(lon, lat)` pairs. The ring is
+implicitly closed; the first vertex is not repeated at the end.
+"""
+struct PolygonShape <: AbstractShape
+    vertices::Vector{Tuple{Float64, Float64}}
+end
+
+"""
+    CircleShape
+
+Circle on the earth's surface: a centre point and a great-circle radius in metres.
+"""
+struct CircleShape <: AbstractShape
+    center_lon::Float64
+    center_lat::Float64
+    radius_m::Float64
+end
+
+"""
+    SpatialFilter
+
+Restricts samples to those located inside a drawn shape.
+
+# Fields
+- `shape`: The constraining shape (nothing = no filter applied)
+
+Unlike the selection filters there is no "include missing" flag: every
+sample has a location.
+"""
+struct SpatialFilter
+    shape::Union{AbstractShape, Nothing}
+end
+
+# Default constructor
+SpatialFilter() = SpatialFilter(nothing)
+
 """
     FilterRequest
 
@@ -362,6 +439,7 @@ All filter fields are optional - nothing means "no filter applied".
 - `date_min`: Minimum age in cal BP (nothing = no lower bound)
 - `date_max`: Maximum age in cal BP (nothing = no upper bound)
 - `include_undated`: Whether to include samples without dates
+- `date_mode`: How a sample's date range is tested against the window (one of `DATE_MODES`)
 - `culture_filter`: Culture filter specification
 - `include_no_culture`: Whether to include samples without culture data
 - `y_haplogroup_filter`: Y-haplogroup filter specification (mutually exclusive with y_haplotree_filter)
@@ -370,6 +448,7 @@ All filter fields are optional - nothing means "no filter applied".
 - `include_no_mtdna`: Whether to include samples without mtDNA
 - `y_haplotree_filter`: Y-haplotree token filter (mutually exclusive with y_haplogroup_filter)
 - `source_filter`: Source/study filter specification
+- `spatial_filter`: Drawn-shape constraint on sample location
 - `color_by`: How to color markers (:age, :culture, :y_haplogroup, :mtdna, :y_haplotree, or nothing)
 - `color_ramp`: Name of color ramp to use for age coloring (e.g., "viridis")
 - `culture_color_ramp`: Name of color ramp to use for culture coloring
@@ -381,6 +460,7 @@ struct FilterRequest
     date_min::Union{Float64, Nothing}
     date_max::Union{Float64, Nothing}
     include_undated::Bool
+    date_mode::Symbol
     culture_filter::CultureFilter
     include_no_culture::Bool
     y_haplogroup_filter::YHaplogroupFilter
@@ -389,6 +469,7 @@ struct FilterRequest
     include_no_mtdna::Bool
     y_haplotree_filter::YHaplotreeFilter
     source_filter::SourceFilter
+    spatial_filter::SpatialFilter
     color_by::Union{Symbol, Nothing}
     color_ramp::String
     culture_color_ramp::String
@@ -402,6 +483,7 @@ function FilterRequest(;
     date_min::Union{Float64, Nothing} = nothing,
     date_max::Union{Float64, Nothing} = nothing,
     include_undated::Bool = true,
+    date_mode::Symbol = DEFAULT_DATE_MODE,
     culture_filter::CultureFilter = CultureFilter(),
     include_no_culture::Bool = true,
     y_haplogroup_filter::YHaplogroupFilter = YHaplogroupFilter(),
@@ -410,6 +492,7 @@ function FilterRequest(;
     include_no_mtdna::Bool = true,
     y_haplotree_filter::YHaplotreeFilter = YHaplotreeFilter(),
     source_filter::SourceFilter = SourceFilter(),
+    spatial_filter::SpatialFilter = SpatialFilter(),
     color_by::Union{Symbol, Nothing} = nothing,
     color_ramp::String = DEFAULT_COLOR_RAMP,
     culture_color_ramp::String = DEFAULT_COLOR_RAMP,
@@ -418,12 +501,13 @@ function FilterRequest(;
     y_haplotree_color_ramp::String = DEFAULT_COLOR_RAMP
 )
     FilterRequest(
-        date_min, date_max, include_undated,
+        date_min, date_max, include_undated, date_mode,
         culture_filter, include_no_culture,
         y_haplogroup_filter, include_no_y_haplogroup,
         mtdna_filter, include_no_mtdna,
         y_haplotree_filter,
         source_filter,
+        spatial_filter,
         color_by, color_ramp,
         culture_color_ramp, y_haplogroup_color_ramp, mtdna_color_ramp,
         y_haplotree_color_ramp
@@ -451,6 +535,8 @@ This drives what the UI can display for cascading filters.
 - `y_haplogroup_legend`: Vector of (haplogroup, color) pairs for legend display
 - `mtdna_legend`: Vector of (haplogroup, color) pairs for legend display
 - `y_haplotree_legend`: Vector of (term, color) pairs for legend display
+- `age_histogram`: Sample counts in equal-width age bins over `date_statistics.min`
+  to `max`, for samples passing every filter except the date range
 """
 struct FilterMeta
     total_count::Int
@@ -467,6 +553,7 @@ struct FilterMeta
     y_haplogroup_legend::Vector{Tuple{String, String}}
     mtdna_legend::Vector{Tuple{String, String}}
     y_haplotree_legend::Vector{Tuple{String, String}}
+    age_histogram::Vector{Int}
 end
 
 """
@@ -481,4 +568,22 @@ Complete response to a filter query.
 struct QueryResponse
     features::Vector{Dict{String, Any}}
     meta::FilterMeta
-end
\ No newline at end of file
+end
+
+"""
+    HaplotreeNode
+
+One node of the Y-haplotree built from sample `y_haplotree` paths.
+
+# Fields
+- `name`: Node token as written in the data (e.g. "M269"); "" for the root
+- `count`: Number of samples whose path runs through this node
+- `children`: Child nodes keyed by lowercased token
+"""
+mutable struct HaplotreeNode
+    name::String
+    count::Int
+    children::Dict{String, HaplotreeNode}
+end
+
+HaplotreeNode(name::String) = HaplotreeNode(name, 0, Dict{String, HaplotreeNode}())
\ No newline at end of file
@@ -199,6 +199,26 @@ using .ArcheoGeneticMap
         )
         filtered = apply_filters(features, request)
         @test length(filtered) == 2  # 5000 Yamnaya and 8000 Bell Beaker
+        
+        # Test date modes against a sample dated 5200-4800 (midpoint 5000)
+        ranged = Dict("average_age_calbp" => 5000.0,
+                      "age_lower_calbp" => 4800.0, "age_upper_calbp" => 5200.0)
+        @test sample_age_interval(ranged) == (4800.0, 5000.0, 5200.0)
+        @test passes_date_filter(ranged, 5100.0, 6000.0, false, :overlaps)
+        @test !passes_date_filter(ranged, 5100.0, 6000.0, false, :contains)
+        @test !passes_date_filter(ranged, 5100.0, 6000.0, false, :midpoint)
+        @test passes_date_filter(ranged, 4000.0, 6000.0, false, :contains)
+        @test !passes_date_filter(ranged, 5300.0, 6000.0, false, :overlaps)
+        
+        # Samples without bounds are point-dated in every mode
+        @test length(apply_date_filter(features, 4000.0, 9000.0, false, mode = :overlaps)) == 3
+        @test length(apply_date_filter(features, 4000.0, 9000.0, false, mode = :contains)) == 3
+        @test passes_date_filter(features[4]["properties"], 4000.0, 9000.0, true, :contains)
+        
+        # The request's date mode reaches apply_filters
+        ranged_features = [Dict("properties" => ranged)]
+        @test length(apply_filters(ranged_features, FilterRequest(date_min = 5100.0, date_mode = :overlaps))) == 1
+        @test isempty(apply_filters(ranged_features, FilterRequest(date_min = 5100.0)))
     end
 
     @testset "Y-Haplotree Filter" begin
@@ -278,6 +298,24 @@ using .ArcheoGeneticMap
         )
         filtered = apply_filters(feat2, req)
         @test length(filtered) == 1  # only I sample (M223 match), R1b haplogroup filter ignored
+        
+        # Haplotree browser: one node per token, counting samples through it
+        tree = build_haplotree(features)
+        @test tree.count == 3  # empty and missing paths are skipped
+        @test sort(collect(keys(tree.children))) == ["g-m201", "i-m258", "r-m207"]
+        @test tree.children["r-m207"].name == "R-M207"
+        @test tree.children["r-m207"].children["m173"].children["m343"].count == 1
+        
+        # Tokens merge case-insensitively and keep the first spelling
+        merged = build_haplotree([feat2[1], Dict("properties" => Dict("y_haplotree" => "r-m207>m173>L1"))])
+        @test merged.children["r-m207"].count == 2
+        @test merged.children["r-m207"].name == "R-M207"
+        @test length(merged.children["r-m207"].children["m173"].children) == 2
+        
+        # Node counts ignore the Y filters themselves but respect the others
+        @test process_haplotree_query(feat2, req).count == 2
+        req_dated = FilterRequest(date_max = 4800.0, y_haplotree_filter = YHaplotreeFilter(["M269"]))
+        @test process_haplotree_query(feat2, req_dated).count == 1
     end
 
     @testset "Analysis" begin
@@ -326,6 +364,23 @@ using .ArcheoGeneticMap
         stats = calculate_date_statistics(features)
         @test stats.min == 5000.0
         @test stats.max == 12000.0
+        
+        # Test compute_age_histogram: undated samples are skipped, the oldest
+        # age lands in the last bin
+        @test compute_age_histogram(features, 5000.0, 12000.0, bins = 7) == [1, 0, 0, 1, 0, 0, 1]
+        @test sum(compute_age_histogram(features, 6000.0, 9000.0, bins = 3)) == 3
+        @test compute_age_histogram(features, 5000.0, 5000.0, bins = 2) == [3, 0]
+        
+        # Test percentile_age: indices round away from the median
+        sorted_ages = [5000.0, 8000.0, 12000.0]
+        @test percentile_age(sorted_ages, 0.02) == 5000.0
+        @test percentile_age(sorted_ages, 0.98) == 12000.0
+        @test percentile_age(sorted_ages, 0.6) == 8000.0
+        
+        # Test calculate_slider_breakpoints: knots come back in age order
+        knots = calculate_slider_breakpoints(features, breakpoints = [(0.9, 900), (0.1, 100)])
+        @test knots == [(5000.0, 100.0), (12000.0, 900.0)]
+        @test isempty(calculate_slider_breakpoints(features[4:4]))
     end
     
     @testset "Query" begin
@@ -363,6 +418,9 @@ using .ArcheoGeneticMap
         )
         response_age = process_query(features, request_age)
         @test haskey(response_age.features[1]["properties"], "_color")
+        @test age_color_range(response_age.features, response_age.meta) == (5000.0, 8000.0)
+        @test age_color_range(Dict[], response_age.meta) ==
+              (response_age.meta.date_statistics.min, response_age.meta.date_statistics.max)
         
         # Test with color by culture
         request_culture = FilterRequest(
@@ -388,6 +446,15 @@ using .ArcheoGeneticMap
         response_filtered = process_query(features, request_filtered)
         @test response_filtered.meta.filtered_count == 1
         @test "Yamnaya" in response_filtered.meta.available_cultures
+        
+        # The age histogram ignores the date window but not the other filters
+        @test sum(response_filtered.meta.age_histogram) == 2
+        request_yamnaya = FilterRequest(
+            date_min = 7000.0,
+            culture_filter = CultureFilter(true, ["Yamnaya"]),
+            include_no_culture = false
+        )
+        @test sum(process_query(features, request_yamnaya).meta.age_histogram) == 1
     end
     
     @testset "Geometry" begin
@@ -419,6 +486,212 @@ using .ArcheoGeneticMap
         @test bounds.max_lat == 6.0
     end
     
+    @testset "Spatial Filter" begin
+        # Shape containment
+        rect = RectangleShape(30.0, 44.0, 50.0, 52.0)
+        @test contains_point(rect, 40.0, 48.0)
+        @test !contains_point(rect, 20.0, 48.0)
+        @test !contains_point(rect, 40.0, 60.0)
+
+        # Shapes drawn east of the antimeridian match wrapped longitudes
+        wrapped = RectangleShape(170.0, -50.0, 190.0, -30.0)
+        @test contains_point(wrapped, -175.0, -40.0)
+        @test contains_point(wrapped, 175.0, -40.0)
+
+        triangle = PolygonShape([(0.0, 0.0), (10.0, 0.0), (0.0, 10.0)])
+        @test contains_point(triangle, 2.0, 2.0)
+        @test !contains_point(triangle, 8.0, 8.0)
+
+        # ~111 km per degree of latitude
+        circle = CircleShape(0.0, 0.0, 150_000.0)
+        @test contains_point(circle, 0.0, 1.0)
+        @test !contains_point(circle, 0.0, 2.0)
+        @test haversine_distance(0.0, 0.0, 0.0, 1.0) ≈ 111_195 atol=100
+
+        features = [
+            Dict(
+                "geometry" => Dict("type" => "Point", "coordinates" => [40.0, 48.0]),
+                "properties" => Dict("average_age_calbp" => 4500.0, "culture" => "Yamnaya")
+            ),
+            Dict(
+                "geometry" => Dict("type" => "Point", "coordinates" => [10.0, 50.0]),
+                "properties" => Dict("average_age_calbp" => 4500.0, "culture" => "Corded Ware")
+            ),
+            Dict(
+                "geometry" => Dict("type" => "Point", "coordinates" => [12.0, 51.0]),
+                "properties" => Dict("average_age_calbp" => 6000.0, "culture" => "LBK")
+            )
+        ]
+
+        # Empty filter passes everything
+        @test length(apply_spatial_filter(features, SpatialFilter())) == 3
+
+        filtered = apply_spatial_filter(features, SpatialFilter(rect))
+        @test length(filtered) == 1
+        @test filtered[1]["properties"]["culture"] == "Yamnaya"
+
+        # Spatial filter combines with the other filters
+        request = FilterRequest(
+            date_min = 5000.0,
+            spatial_filter = SpatialFilter(RectangleShape(5.0, 45.0, 15.0, 55.0))
+        )
+        filtered = apply_filters(features, request)
+        @test length(filtered) == 1
+        @test filtered[1]["properties"]["culture"] == "LBK"
+
+        # Cascading options only reflect samples inside the shape,
+        # while the total count still covers the whole dataset
+        response = process_query(features, FilterRequest(spatial_filter = SpatialFilter(rect)))
+        @test response.meta.total_count == 3
+        @test response.meta.filtered_count == 1
+        @test response.meta.available_cultures == ["Yamnaya"]
+    end
+    
+    @testset "Sample Batch" begin
+        lookup = Dict{String, Dict{String, Any}}(
+            "I0001" => Dict{String, Any}("sample_id" => "I0001", "culture" => "Yamnaya", "_color" => "#ff0000"),
+            "I0002" => Dict{String, Any}("sample_id" => "I0002", "culture" => "Corded Ware")
+        )
+
+        samples, missing_ids = ArcheoGeneticMap.sample_properties_batch(lookup, ["I0001", "I0002", "I0001", "nope"])
+        @test sort(collect(keys(samples))) == ["I0001", "I0002"]
+        @test samples["I0001"]["culture"] == "Yamnaya"
+        @test missing_ids == ["nope"]
+
+        # Internal fields such as the query-assigned color are not served
+        @test !haskey(samples["I0001"], "_color")
+        @test haskey(lookup["I0001"], "_color")
+    end
+    
+    @testset "Sample Search" begin
+        ids = ["I0003", "I0001", "XYZ_I0001", "abc", "I0002"]
+        @test search_sample_ids(ids, "i000") == ["I0001", "I0002", "I0003", "XYZ_I0001"]
+        @test search_sample_ids(ids, "0001") == ["I0001", "XYZ_I0001"]
+        @test search_sample_ids(ids, "i000", limit = 2) == ["I0001", "I0002"]
+        @test isempty(search_sample_ids(ids, "  "))
+
+        feature = Dict(
+            "geometry" => Dict("type" => "Point", "coordinates" => [40.0, 48.0]),
+            "properties" => Dict{String, Any}(
+                "sample_id" => "I0001", "average_age_calbp" => 4800.0,
+                "culture" => "Yamnaya", "y_haplogroup" => "R-M269",
+                "y_haplotree" => "R>R-M207>R-M269", "mtdna" => "U5a", "source" => "Study A"
+            )
+        )
+
+        @test isempty(exclusion_reasons(feature, FilterRequest()))
+
+        # Every filter that hides the sample is reported, in pipeline order
+        request = FilterRequest(
+            date_min = 5000.0,
+            culture_filter = CultureFilter(true, ["Corded Ware"]),
+            include_no_culture = false,
+            source_filter = ArcheoGeneticMap.SourceFilter(true, ["Study B"]),
+            spatial_filter = SpatialFilter(RectangleShape(0.0, 0.0, 10.0, 10.0))
+        )
+        @test exclusion_reasons(feature, request) == [:area, :date, :culture, :source]
+
+        # The Y-haplotree filter takes precedence over the Y-haplogroup filter
+        request = FilterRequest(
+            y_haplogroup_filter = YHaplogroupFilter(true, "", ["I-M170"]),
+            include_no_y_haplogroup = false,
+            y_haplotree_filter = YHaplotreeFilter(["R-M269"])
+        )
+        @test isempty(exclusion_reasons(feature, request))
+        request = FilterRequest(
+            y_haplogroup_filter = YHaplogroupFilter(true, "", ["I-M170"]),
+            include_no_y_haplogroup = false
+        )
+        @test exclusion_reasons(feature, request) == [:y_haplogroup]
+    end
+    
+    @testset "Export" begin
+        features = [
+            Dict(
+                "geometry" => Dict("type" => "Point", "coordinates" => [40.0, 48.0]),
+                "properties" => Dict{String, Any}(
+                    "sample_id" => "I0001", "culture" => "Yamnaya, early",
+                    "average_age_calbp" => 4800.0, "mtdna" => nothing
+                )
+            ),
+            Dict(
+                "geometry" => Dict("type" => "Point", "coordinates" => [10.0, 50.0]),
+                "properties" => Dict{String, Any}(
+                    "sample_id" => "I0002", "culture" => "Corded \"Ware\"",
+                    "average_age_calbp" => 4500.0, "mtdna" => "U5a"
+                )
+            )
+        ]
+
+        # Colors come from the regular query pipeline
+        response = process_query(features, FilterRequest(color_by = :culture))
+        exported = response.features
+
+        columns = ArcheoGeneticMap.export_columns(exported)
+        @test columns[1:4] == ["sample_id", "longitude", "latitude", "marker_color"]
+        @test columns[5:end] == ["average_age_calbp", "culture", "mtdna"]
+        @test !("_color" in columns)
+
+        csv = export_features(exported, :csv)
+        lines = split(chomp(csv), "\n")
+        @test length(lines) == 3
+        @test lines[1] == "sample_id,longitude,latitude,marker_color,average_age_calbp,culture,mtdna"
+        @test startswith(lines[2], "I0001,40.0,48.0,#")
+        @test endswith(lines[2], ",\"Yamnaya, early\",")
+        @test endswith(lines[3], ",\"Corded \"\"Ware\"\"\",U5a")
+
+        geojson = export_features(exported, :geojson)
+        @test occursin("\"FeatureCollection\"", geojson)
+        @test occursin("\"marker_color\"", geojson)
+        @test !occursin("_color", replace(geojson, "marker_color" => ""))
+
+        kml = export_features(exported, :kml)
+        @test occursin("<name>I0001</name>", kml)
+        @test occursin("<Data name=\"culture\"><value>Corded &quot;Ware&quot;</value></Data>", kml)
+        @test occursin("<coordinates>40.0,48.0</coordinates>", kml)
+        @test ArcheoGeneticMap.kml_color("#e41a1c") == "ff1c1ae4"
+
+        @test_throws ErrorException export_features(exported, :xlsx)
+        @test haskey(EXPORT_FORMATS, :kml)
+    end
+    
+    @testset "Basemaps" begin
+        @test Set(TILE_PRESET_ORDER) == Set(keys(TILE_PRESETS))
+        @test MapSettings().tile_dir == ""
+
+        # The configured tile URL picks the basemap shown first
+        presets, default_id = ArcheoGeneticMap.tile_presets_config(MapSettings(:topo))
+        @test [p["id"] for p in presets] == String.(TILE_PRESET_ORDER)
+        @test default_id == "topo"
+
+        # An unknown URL is offered as "custom"; a tile directory adds "local"
+        settings = MapSettings(tile_url = "https://tiles.example.org/{z}/{x}/{y}.png", tile_dir = "/data/tiles")
+        presets, default_id = ArcheoGeneticMap.tile_presets_config(settings)
+        @test default_id == "custom"
+        @test presets[1]["url"] == settings.tile_url
+        @test presets[end]["id"] == "local"
+        @test presets[end]["url"] == "/tiles/{z}/{x}/{y}"
+
+        mktempdir() do dir
+            mkpath(joinpath(dir, "5", "17"))
+            write(joinpath(dir, "5", "17", "10.jpg"), "jpeg")
+            @test find_local_tile(dir, 5, 17, 10) == (joinpath(dir, "5", "17", "10.jpg"), "image/jpeg")
+            @test find_local_tile(dir, 5, 17, 11) === nothing
+            @test find_local_tile(dir, -1, 17, 10) === nothing
+            @test find_local_tile("", 5, 17, 10) === nothing
+        end
+    end
+    
+    @testset "CSV Columns" begin
+        columns = ArcheoGeneticMap.csv_columns_config()
+        @test length(columns) == length(ArcheoGeneticMap.DEFAULT_CONFIGS)
+        @test columns[1]["sample_id"] == ArcheoGeneticMap.DEFAULT_CONFIGS[1].sample_id_cols
+        @test "Latitude" in columns[1]["latitude"]
+        @test Set(keys(columns[1])) == Set(["sample_id", "latitude", "longitude", "y_haplogroup", "mtdna",
+                                            "culture", "average_age", "y_haplotree", "source",
+                                            "age_lower", "age_upper"])
+    end
+    
     @testset "Templates" begin
         # In the flat project layout, template files live alongside ArcheoGeneticMap.jl.
         # When running from the project root, @__DIR__ points to the project root.
@@ -430,7 +703,22 @@ using .ArcheoGeneticMap
         @test isfile(joinpath(templates_dir, "map_styles.css"))
         @test isfile(joinpath(templates_dir, "map_app.js"))
         @test isfile(joinpath(templates_dir, "piecewise_scale.js"))
+        @test isfile(joinpath(templates_dir, "date_format.js"))
+        @test isfile(joinpath(templates_dir, "color_utils.js"))
         @test isfile(joinpath(templates_dir, "popup_builder.js"))
+        @test isfile(joinpath(templates_dir, "url_state.js"))
+        @test isfile(joinpath(templates_dir, "shape_drawer.js"))
+        @test isfile(joinpath(templates_dir, "sample_store.js"))
+        @test isfile(joinpath(templates_dir, "marker_keyboard.js"))
+        @test isfile(joinpath(templates_dir, "saved_views.js"))
+        @test isfile(joinpath(templates_dir, "compare_view.js"))
+        @test isfile(joinpath(templates_dir, "heatmap_layer.js"))
+        @test isfile(joinpath(templates_dir, "hexbin_layer.js"))
+        @test isfile(joinpath(templates_dir, "haplotree_browser.js"))
+        @test isfile(joinpath(templates_dir, "map_legend.js"))
+        @test isfile(joinpath(templates_dir, "figure_export.js"))
+        @test isfile(joinpath(templates_dir, "overlay_layers.js"))
+        @test isfile(joinpath(templates_dir, "private_samples.js"))
         
         # These files should NOT exist (removed in refactor)
         @test !isfile(joinpath(templates_dir, "config.js"))
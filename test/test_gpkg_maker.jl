@@ -79,6 +79,8 @@ make_df(d::Dict) = DataFrame(d)
             @test cols.average_age  === nothing
             @test cols.y_haplotree  === nothing
             @test cols.source       === nothing
+            @test cols.age_lower    === nothing
+            @test cols.age_upper    === nothing
         end
 
         @testset "resolves alternate column names" begin
@@ -173,6 +175,25 @@ make_df(d::Dict) = DataFrame(d)
             df = make_df(Dict("Sample ID" => ["S1"], "Latitude" => [48.0], "Longitude" => [16.0]))
             samples = build_samples(df, resolve_columns(df))
             @test ismissing(samples[1].average_age_calbp)
+            @test ismissing(samples[1].age_lower_calbp)
+            @test ismissing(samples[1].age_upper_calbp)
+        end
+
+        @testset "date range bounds are parsed when present" begin
+            df = make_df(Dict(
+                "Sample ID"         => ["S1"],
+                "Latitude"          => [48.0],
+                "Longitude"         => [16.0],
+                "Mean_BP"           => [5000.0],
+                "Min_BP"            => [4800.0],
+                "Max_BP"            => ["n/a"]
+            ))
+            cols = resolve_columns(df)
+            @test cols.age_lower == "Min_BP"
+            @test cols.age_upper == "Max_BP"
+            s = build_samples(df, cols)[1]
+            @test s.age_lower_calbp == 4800.0
+            @test ismissing(s.age_upper_calbp)
         end
 
         @testset "unparseable age value falls back to missing" begin
@@ -200,8 +221,8 @@ make_df(d::Dict) = DataFrame(d)
     @testset "samples_to_geodataframe" begin
 
         samples = [
-            ArcheoSample("000001", "S1", 48.0, 16.0, "R1b", "H",  "Yamnaya",     5000.0, "R-M207>M173>M343", "Haak2015"),
-            ArcheoSample("000002", "S2", 51.5,  0.1, "I2",  "U5", "Bell Beaker", missing, "I-M258>M223",      "")
+            ArcheoSample("000001", "S1", 48.0, 16.0, "R1b", "H",  "Yamnaya",     5000.0, "R-M207>M173>M343", "Haak2015", 4800.0, 5200.0),
+            ArcheoSample("000002", "S2", 51.5,  0.1, "I2",  "U5", "Bell Beaker", missing, "I-M258>M223",      "",         missing, missing)
         ]
 
         @testset "correct row count" begin
@@ -212,7 +233,7 @@ make_df(d::Dict) = DataFrame(d)
             gdf = samples_to_geodataframe(samples)
             for col in [:sample_number, :sample_id, :latitude, :longitude,
                         :y_haplogroup, :mtdna, :culture, :average_age_calbp,
-                        :y_haplotree, :source, :geometry]
+                        :y_haplotree, :source, :age_lower_calbp, :age_upper_calbp, :geometry]
                 @test col in propertynames(gdf)
             end
         end
@@ -227,6 +248,8 @@ make_df(d::Dict) = DataFrame(d)
             @test gdf[2, :sample_id]     == "S2"
             @test gdf[2, :source]        == ""
             @test ismissing(gdf[2, :average_age_calbp])
+            @test gdf[1, :age_lower_calbp] == 4800.0
+            @test ismissing(gdf[2, :age_upper_calbp])
         end
 
         @testset "errors on empty input" begin